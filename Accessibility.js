@@ -0,0 +1,90 @@
+//Photosensitivity and screen reader support.
+//MotionPreference decides whether rolls may strobe: it follows the system's prefers-reduced-motion
+//until the player picks a setting, which is then saved like the statistics.
+//The describe* helpers turn the game state into the sentences announced through an ARIA live region.
+import { Outcome } from "./Engine.js";
+
+const STORAGE_KEY = "video-dice-poker/reduced-flash";
+
+export class MotionPreference {
+    constructor(storage = globalThis.localStorage, media = globalThis.matchMedia?.("(prefers-reduced-motion: reduce)")) {
+        this.storage = storage;
+        this.media = media;
+    }
+
+    //The player's own choice, or null to follow the system
+    get saved() {
+        try {
+            const saved = this.storage?.getItem(STORAGE_KEY);
+            return saved === null || saved === undefined ? null : saved == "true";
+        } catch (error) {
+            console.warn("Could not load the flashing setting", error);
+            return null;
+        }
+    }
+
+    get reduced() {
+        return this.saved ?? this.media?.matches ?? false;
+    }
+
+    set reduced(value) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, String(value));
+        } catch (error) {
+            console.warn("Could not save the flashing setting", error);
+        }
+    }
+
+    //Calls listener(reduced) when the system setting changes and the player hasn't picked one
+    onChange(listener) {
+        this.media?.addEventListener("change", () => {
+            if (this.saved === null) {
+                listener(this.reduced);
+            }
+        });
+    }
+}
+
+function list(items) {
+    return items.length <= 1 ? items.join("") : items.slice(0, -1).join(", ") + " and " + items.at(-1);
+}
+
+//e.g. "3, 5, 5, 2 and 6"
+export function describeDice(dice) {
+    return list(dice.map(String));
+}
+
+//e.g. "Holding die 2 showing 5 and die 3 showing 5", or "No dice held"
+export function describeHeldDice(dice, holds) {
+    const held = dice.flatMap((face, i) => holds[i] ? [`die ${i + 1} showing ${face}`] : []);
+    return held.length > 0 ? "Holding " + list(held) : "No dice held";
+}
+
+//After a roll lands, with the holds when there are rolls to come
+export function describeRoll(game) {
+    let text = `Roll ${game.rollsDone} of ${game.rollsPerRound}: ${describeDice(game.dice)}.`;
+    if (game.rollsLeft > 0) {
+        text += ` ${describeHeldDice(game.dice, game.holds)}.`;
+    }
+    return text;
+}
+
+//e.g. "beats the dealer's nothing"
+function duelVerdict(game) {
+    const dealer = game.paytable.hands[game.dealerEvaluation.type].name.toLowerCase();
+    const verdict = { [Outcome.WIN]: "beats", [Outcome.PUSH]: "ties with", [Outcome.LOSE]: "loses to" }[game.outcome];
+    return `${verdict} the dealer's ${dealer}`;
+}
+
+//How a settled duel went, e.g. "Pair beats the dealer's nothing"
+export function describeDuel(game) {
+    return `${game.handName} ${duelVerdict(game)}`;
+}
+
+//After the hand is settled, naming the dice that made it unless it's all or none of them
+export function describeResult(game) {
+    const scoring = game.evaluation?.scoringDice ?? [];
+    const made = scoring.length > 0 && scoring.length < game.diceCount ? ` with dice ${list(scoring.map(i => String(i + 1)))}` : "";
+    const dealer = game.dealerEvaluation ? `, ${duelVerdict(game)} showing ${describeDice(game.dealerDice)}` : "";
+    return `${game.handName}${made}${dealer}. Paid ${game.payout}, balance ${game.balance}.`;
+}
@@ -0,0 +1,103 @@
+//Strategy advisor: the expected payout of every hold choice, found by playing out every
+//possible re-roll of the dice that aren't held and scoring it against the paytable.
+//With more rolls to come, later holds are assumed to be chosen the same optimal way.
+import { FACE_COUNT, evaluateHand } from "./Engine.js";
+
+function factorial(n) {
+    return n <= 1 ? 1 : n * factorial(n - 1);
+}
+
+//Every way `count` re-rolled dice with `faces` faces can land, ignoring order, with its chance.
+//Order never changes the hand, so this is far fewer cases than every ordered roll.
+const rerollCache = new Map();
+function rerolls(count, faces) {
+    const key = `${count}d${faces}`;
+    if (!rerollCache.has(key)) {
+        const results = [];
+        const rolled = [];
+        (function build(from) {
+            if (rolled.length == count) {
+                const counts = Array(faces).fill(0);
+                rolled.forEach(face => counts[face - 1]++);
+                const orders = factorial(count) / counts.reduce((product, n) => product * factorial(n), 1);
+                results.push({ faces: [...rolled], chance: orders / faces ** count });
+                return;
+            }
+            for (let face = from; face <= faces; face++) {
+                rolled.push(face);
+                build(face);
+                rolled.pop();
+            }
+        })(1);
+        rerollCache.set(key, results);
+    }
+    return rerollCache.get(key);
+}
+
+//Results of optimalPlay per paytable, keyed by stake, faces, rolls left and the sorted dice
+const plans = new WeakMap();
+
+//Best expected payout and the resulting hand chances from these dice with rollsLeft rolls to come,
+//plus the faces to hold for it
+export function optimalPlay(dice, paytable, stake, rollsLeft, faces = FACE_COUNT) {
+    if (!(Number.isInteger(rollsLeft) && rollsLeft >= 0)) {
+        throw new RangeError(`Invalid number of rolls left: ${rollsLeft}`);
+    }
+    if (rollsLeft == 0) {
+        const { type, payout } = evaluateHand(dice, paytable, stake);
+        return { ev: payout, chances: { [type]: 1 }, heldFaces: [...dice] };
+    }
+    if (!plans.has(paytable)) {
+        plans.set(paytable, new Map());
+    }
+    const sorted = [...dice].sort((a, b) => a - b);
+    const key = `${stake}/${faces}/${rollsLeft}/${sorted.join(",")}`;
+    const cache = plans.get(paytable);
+    if (!cache.has(key)) {
+        const { holds, ev, chances } = holdOptions(sorted, paytable, stake, rollsLeft, faces)[0];
+        cache.set(key, { ev, chances, heldFaces: sorted.filter((_, i) => holds[i]) });
+    }
+    return cache.get(key);
+}
+
+//The optimal holds for these dice, in their order; quicker than holdOptions once the position has been seen
+export function bestHolds(dice, paytable, stake, rollsLeft = 1, faces = FACE_COUNT) {
+    const heldFaces = [...optimalPlay(dice, paytable, stake, rollsLeft, faces).heldFaces];
+    return dice.map(face => {
+        const i = heldFaces.indexOf(face);
+        if (i >= 0) {
+            heldFaces.splice(i, 1);
+        }
+        return i >= 0;
+    });
+}
+
+//Expected payout in credits and the chance of each final hand when every die that isn't held is re-rolled
+export function evaluateHolds(dice, holds, paytable, stake, rollsLeft = 1, faces = FACE_COUNT) {
+    const kept = dice.filter((_, i) => holds[i]);
+    const chances = {};
+    let ev = 0;
+    for (const { faces: rolled, chance } of rerolls(dice.length - kept.length, faces)) {
+        const next = optimalPlay([...kept, ...rolled], paytable, stake, rollsLeft - 1, faces);
+        ev += chance * next.ev;
+        for (const [type, nextChance] of Object.entries(next.chances)) {
+            chances[type] = (chances[type] ?? 0) + chance * nextChance;
+        }
+    }
+    return { ev, chances };
+}
+
+//Expected payout in credits of re-rolling every die that isn't held
+export function holdValue(dice, holds, paytable, stake, rollsLeft = 1, faces = FACE_COUNT) {
+    return evaluateHolds(dice, holds, paytable, stake, rollsLeft, faces).ev;
+}
+
+//All 2^dice hold choices with their expected payout and hand chances, best first
+export function holdOptions(dice, paytable, stake, rollsLeft = 1, faces = FACE_COUNT) {
+    const options = [];
+    for (let mask = 0; mask < 2 ** dice.length; mask++) {
+        const holds = dice.map((_, i) => (mask >> i & 1) == 1);
+        options.push({ holds, ...evaluateHolds(dice, holds, paytable, stake, rollsLeft, faces) });
+    }
+    return options.sort((a, b) => b.ev - a.ev);
+}
@@ -0,0 +1,19 @@
+//Works out how much expected payout a hold choice gives up against the best one, off the page's thread:
+//with more rolls to come the advisor plays out every later roll too, which can take seconds.
+//Post { id, dice, holds, paytable, stake, rollsLeft, faces } and get back { id, given }.
+import { holdOptions } from "./Advisor.js";
+import { parsePaytable } from "./Paytable.js";
+
+//Paytables arrive as copies, so they're kept by content for the advisor's cache, which goes by paytable
+const paytables = new Map();
+
+self.onmessage = function ({ data }) {
+    const { id, dice, holds, stake, rollsLeft, faces } = data;
+    const key = JSON.stringify(data.paytable);
+    if (!paytables.has(key)) {
+        paytables.set(key, parsePaytable(data.paytable));
+    }
+    const options = holdOptions(dice, paytables.get(key), stake, rollsLeft, faces);
+    const chosen = options.find(option => option.holds.every((held, i) => held == holds[i]));
+    self.postMessage({ id, given: options[0].ev - chosen.ev });
+};
@@ -0,0 +1,114 @@
+//Frame-driven roll animation: the columns spin, slow down and settle one at a time, left to right,
+//like the reels of a slot machine. The dice are decided before it starts; the animation only decides
+//how many simulation steps each column has made by each frame, and the board is placed so that
+//every column lands on its die after its last step.
+//Runs on requestAnimationFrame, so it keeps to the display's refresh rate and pauses in background
+//tabs; a roll that was hidden finishes on the first frame after it's shown again.
+import { cellsForDice } from "./Board.js";
+
+//Easing curves for the spin, from progress in time (0..1) to progress in steps (0..1).
+//They have to keep rising, since a column can't step backwards.
+export const Easing = Object.freeze({
+    linear: t => t,
+    easeOutQuad: t => 1 - (1 - t) ** 2,
+    easeOutCubic: t => 1 - (1 - t) ** 3,
+    easeOutQuart: t => 1 - (1 - t) ** 4,
+});
+
+export const DEFAULT_ROLL = Object.freeze({
+    duration: 1000, //ms until the last column settles
+    steps: 100, //simulation steps of a column spinning the whole duration
+    stagger: 0.5, //share of the duration over which the columns settle, one after another
+    easing: Easing.easeOutCubic,
+});
+
+//When each column stops, in ms from the start, and how many steps it makes until then.
+//Columns that don't move are done from the start; the last moving one stops at `duration`.
+//A duration of 0 lands every column at once, without steps.
+export function reelSchedule(moving, { duration, steps, stagger }) {
+    if (!(Number.isFinite(duration) && duration >= 0)) {
+        throw new RangeError(`Invalid roll duration: ${duration}`);
+    }
+    if (!(Number.isInteger(steps) && steps >= 0)) {
+        throw new RangeError(`Invalid number of roll steps: ${steps}`);
+    }
+    if (!(stagger >= 0 && stagger <= 1)) {
+        throw new RangeError(`Invalid roll stagger: ${stagger}, it's a share from 0 to 1`);
+    }
+    const count = moving.filter(Boolean).length;
+    let order = 0;
+    return moving.map(isMoving => {
+        if (!isMoving) {
+            return { stopAt: 0, steps: 0 };
+        }
+        const stopAt = duration * (1 - stagger + stagger * ++order / count);
+        return { stopAt, steps: duration > 0 ? Math.round(steps * stopAt / duration) : 0 };
+    });
+}
+
+//Steps a column has made `elapsed` ms into the roll
+export function stepsAt(reel, elapsed, easing) {
+    if (elapsed >= reel.stopAt) {
+        return reel.steps;
+    }
+    return Math.min(reel.steps, Math.floor(reel.steps * easing(elapsed / reel.stopAt)));
+}
+
+//Rolls the board to `dice`, where null leaves a column empty,
+//with the holds, phase and spin speeds already in `control`.
+//Besides the DEFAULT_ROLL settings, options can have onStep() called after every simulation step
+//and onSettle(column) called as each column stops, e.g. for sound effects.
+//Resolves to the cells read back from the renderer once every column has settled, or rejects when it fails;
+//throws a RangeError for a duration, steps or stagger it could never land with.
+export function animateReels(renderer, board, dice, control, options = {}) {
+    const { duration, steps, stagger, easing, onStep, onSettle } = { ...DEFAULT_ROLL, ...options };
+    //held columns stay put, and so do empty ones (null dice)
+    const moving = dice.map((die, i) => die != null && !(control[0] > 1 && control[i + 1] == 1));
+    const reels = reelSchedule(moving, { duration, steps, stagger });
+    //rows a column moves per step, as in stepCells
+    const strides = moving.map((isMoving, i) => isMoving ? 1 + control[i + 1] : 0);
+    renderer.setCells(cellsForDice(board, dice, 1, strides.map((stride, i) => stride * reels[i].steps)));
+
+    //Steps that only move some columns: the others are frozen like held dice, which needs a re-roll phase.
+    //Moving columns keep their speed, which is never 1 (held) while they move.
+    const done = reels.map(() => 0);
+    const stepControl = new Uint32Array(control.length);
+    function catchUp(elapsed) {
+        const targets = reels.map(reel => stepsAt(reel, elapsed, easing));
+        while (done.some((n, i) => n < targets[i])) {
+            stepControl[0] = 3;
+            const settled = [];
+            for (let i = 0; i < done.length; ++i) {
+                const stepping = done[i] < targets[i];
+                stepControl[i + 1] = stepping ? control[i + 1] : 1;
+                done[i] += stepping ? 1 : 0;
+                if (stepping && done[i] == reels[i].steps) {
+                    settled.push(i);
+                }
+            }
+            renderer.advance(stepControl);
+            onStep?.();
+            settled.forEach(i => onSettle?.(i));
+        }
+    }
+
+    //a renderer that fails, e.g. on a lost GPU device, rejects the roll instead of leaving it running
+    return new Promise((resolve, reject) => {
+        let start = null;
+        function frame(now) {
+            try {
+                start ??= now;
+                catchUp(now - start);
+                renderer.draw(control);
+                if (done.every((n, i) => n == reels[i].steps)) {
+                    renderer.readCells().then(resolve, reject);
+                } else {
+                    requestAnimationFrame(frame);
+                }
+            } catch (error) {
+                reject(error);
+            }
+        }
+        requestAnimationFrame(frame);
+    });
+}
@@ -0,0 +1,94 @@
+//Board geometry shared by the renderers: one column of cells per die and one row per face,
+//one lit cell per column marking that die's face, and a finer grid of pips drawn on top.
+import { DICE_COUNT, FACE_COUNT } from "./Engine.js";
+
+//Each cell is CELL_PIPS x CELL_PIPS pips, with the face's pips on the inner 3x3
+export const CELL_PIPS = 5;
+
+//Where the pips of each face go, as [column, row] on the 3x3 layout counted from the bottom left
+export const FACE_LAYOUTS = [
+    null,
+    [[1, 1]],
+    [[0, 0], [2, 2]],
+    [[2, 0], [1, 1], [0, 2]],
+    [[0, 0], [2, 0], [0, 2], [2, 2]],
+    [[0, 0], [2, 0], [1, 1], [0, 2], [2, 2]],
+    [[0, 0], [2, 0], [0, 1], [2, 1], [0, 2], [2, 2]],
+    [[0, 0], [2, 0], [0, 1], [1, 1], [2, 1], [0, 2], [2, 2]],
+    [[0, 0], [1, 0], [2, 0], [0, 1], [2, 1], [0, 2], [1, 2], [2, 2]],
+    [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1], [0, 2], [1, 2], [2, 2]],
+];
+
+// Create an array representing the active state of each pip: every die column shows
+// every face, face 1 in the bottom row, so the lit cell behind it picks the face that shows.
+function pipMask(sizeX, sizeY) {
+    const pipSizeX = sizeX * CELL_PIPS;
+    const pips = new Uint32Array(pipSizeX * sizeY * CELL_PIPS);
+    for (let face = 1; face <= sizeY; ++face) {
+        for (const [column, row] of FACE_LAYOUTS[face]) {
+            const y = (face - 1) * CELL_PIPS + 1 + row;
+            for (let die = 0; die < sizeX; ++die) {
+                pips[y * pipSizeX + die * CELL_PIPS + 1 + column] = 1;
+            }
+        }
+    }
+    return pips;
+}
+
+//Geometry of a board for diceCount dice with faceCount faces each
+export function createBoard(diceCount = DICE_COUNT, faceCount = FACE_COUNT) {
+    if (!(Number.isInteger(diceCount) && diceCount >= 1 && Number.isInteger(faceCount) && faceCount >= 2 && faceCount < FACE_LAYOUTS.length)) {
+        throw new RangeError(`Can't draw ${diceCount} dice with ${faceCount} faces, up to ${FACE_LAYOUTS.length - 1} faces are supported`);
+    }
+    return Object.freeze({
+        sizeX: diceCount, //GRID_SIZE_X, one column per die
+        sizeY: faceCount, //GRID_SIZE_Y, one row per face
+        pipSizeX: diceCount * CELL_PIPS, //DICE_GRID_SIZE_X
+        pipSizeY: faceCount * CELL_PIPS, //DICE_GRID_SIZE_Y
+        pips: pipMask(diceCount, faceCount),
+    });
+}
+
+// Enable one cell in each column for the given dice; a null die leaves its column empty.
+// With steps > 0 the cells are placed so that the simulation, moving column i
+// down by strides[i] rows per step, lands exactly on the dice after that many steps.
+export function cellsForDice(board, dice, steps = 0, strides = Array(board.sizeX).fill(1)) {
+    const cells = new Uint32Array(board.sizeX * board.sizeY);
+    for (let i = 0; i < board.sizeX; ++i) {
+        if (dice[i] == null) continue;
+        const row = (dice[i] - 1 + steps * strides[i]) % board.sizeY;
+        cells[row * board.sizeX + i] = 1;
+    }
+    return cells;
+}
+
+// One simulation step on the CPU, same rules as computeMain in the WebGPU logic shader:
+// each lit cell moves down 1 + control[x + 1] rows, wrapping around,
+// except held columns on any roll after the first (control[0] > 1), which stay put.
+export function stepCells(board, cellStateIn, control) {
+    const cellStateOut = new Uint32Array(cellStateIn.length);
+    for (let y = 0; y < board.sizeY; ++y) {
+        for (let x = 0; x < board.sizeX; ++x) {
+            const i = y * board.sizeX + x;
+            if (control[0] > 1 && control[x + 1] == 1) {
+                cellStateOut[i] = cellStateIn[i];
+            } else {
+                const isNext = cellStateIn[((y + 1 + control[x + 1]) % board.sizeY) * board.sizeX + x];
+                cellStateOut[i] = isNext == 1 ? 1 : 0;
+            }
+        }
+    }
+    return cellStateOut;
+}
+
+export function calculateHand(board, cellStates) {
+    const cells = new Uint32Array(cellStates);
+    const hand = Array(board.sizeX);
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i] == 1) {
+            hand[i % board.sizeX] = Math.floor(i / board.sizeX) + 1;
+
+        };
+    };
+    return hand;
+}
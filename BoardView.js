@@ -0,0 +1,112 @@
+//A canvas with its renderer and the control buffer the renderer draws from: keeps the board in step
+//with a game, spins it for rolls and labels it for screen readers.
+//Shared by the full page in Main.js and the <dice-poker> element.
+import { calculateHand, cellsForDice } from "./Board.js";
+import { createRenderer } from "./Renderer.js";
+import { animateReels } from "./Animation.js";
+import { describeDice } from "./Accessibility.js";
+
+//motion is a MotionPreference, checked on every roll; rollOptions go to animateReels; theme is from Theme.js
+export async function createBoardView(canvas, board, { motion, rollOptions, theme } = {}) {
+    //Keep the cells square, 100 pixels per die and per face
+    canvas.width = 100 * board.sizeX;
+    canvas.height = 100 * board.sizeY;
+    const renderer = await createRenderer(canvas, board, theme);
+
+    //Buffer for game controls: the phase, then one entry per die
+    const control = new Uint32Array(board.sizeX + 1);
+
+    //Mirror the game state into the control buffer the shaders read: 1 for held dice, 2 for suggested holds
+    function sync(game, suggestedHolds = null) {
+        control[0] = game.phase;
+        for (let i = 0; i < board.sizeX; ++i) {
+            control[i + 1] = game.holds[i] ? 1 : suggestedHolds?.[i] ? 2 : 0;
+        }
+    }
+
+    //The canvas is an image to assistive technology, so its label says what it shows
+    function label(dice) {
+        canvas.setAttribute("aria-label", `Dice showing ${describeDice(dice)}`);
+    }
+
+    function draw() {
+        renderer.draw(control);
+    }
+
+    //Highlight the dice that made the settled hand, by index, until the next sync; 5 marks them in the
+    //control buffer, a value the simulation never sees since nothing rolls until the next bet
+    function mark(scoringDice) {
+        control.fill(0);
+        for (const i of scoringDice) {
+            control[i + 1] = 5;
+        }
+        draw();
+    }
+
+    //Recolor the board, redrawing it straight away
+    function setTheme(value) {
+        renderer.setTheme(value);
+        draw();
+    }
+
+    //Put the dice on the board without spinning
+    function show(dice) {
+        renderer.setCells(cellsForDice(board, dice));
+        draw();
+        label(dice);
+    }
+
+    //Empty the board, e.g. while the dealer has no hand yet
+    function clear() {
+        control.fill(0);
+        renderer.setCells(cellsForDice(board, Array(board.sizeX).fill(null)));
+        draw();
+        canvas.setAttribute("aria-label", "No dice");
+    }
+
+    //Spins the board with the holds and phase already in control, landing on dice, which may leave
+    //columns empty with null. Resolves to the dice read back from the board.
+    function spin(dice) {
+        //with reduced flashing, skip the strobing and show where the dice landed
+        if (motion?.reduced) {
+            renderer.setCells(cellsForDice(board, dice));
+            draw();
+            return renderer.readCells().then(result => calculateHand(board, result));
+        }
+
+        //spin the later rolls at different speeds per column; the outcome is already decided,
+        //so this is only for looks
+        if (control[0] > 1) {
+            for (let i = 1; i < control.length; ++i) {
+                if (control[i] == 0) {
+                    control[i] = 2 + i % 3;
+                }
+            }
+        }
+
+        //the columns slow down and settle one by one, each landing where its die was rolled
+        return animateReels(renderer, board, dice, control, rollOptions).then(result => calculateHand(board, result));
+    }
+
+    //Spin the board for one roll, see spin
+    function roll(dice) {
+        return spin(dice).then(landed => {
+            label(dice);
+            return landed;
+        });
+    }
+
+    //Spin a single die in the middle column, e.g. for the gamble, with the other columns empty
+    function rollSingle(die) {
+        const dice = Array(board.sizeX).fill(null);
+        const column = Math.floor(board.sizeX / 2);
+        dice[column] = die;
+        control.fill(0);
+        return spin(dice).then(landed => {
+            canvas.setAttribute("aria-label", `One die showing ${die}`);
+            return landed[column];
+        });
+    }
+
+    return { renderer, control, sync, draw, mark, setTheme, show, clear, roll, rollSingle, label };
+}
@@ -0,0 +1,83 @@
+//Canvas 2D renderer, used when WebGPU isn't available.
+//Steps the simulation on the CPU and draws the same picture as the WebGPU shaders.
+import { stepCells } from "./Board.js";
+import { HoldStyle, Themes, cssColor, paletteColor } from "./Theme.js";
+
+const INSET = 0.1; //the shader quads span -0.8..0.8 of each cell, leaving 10% on each side
+const OUTLINE = 0.25; //share of the drawn square the outline hold style covers on each side, as in the cell shader
+
+export function createCanvasRenderer(canvas, board, theme = Themes.classic) {
+    const context = canvas.getContext("2d");
+    let cellStateArray = new Uint32Array(board.sizeX * board.sizeY);
+
+    //Fills the inset square of every active cell; grid rows count up from the bottom like in the shaders.
+    //colorOf gives a cell's color, and highlightOf its hold highlight or null.
+    function drawGrid(states, sizeX, sizeY, colorOf, highlightOf = () => null) {
+        const width = canvas.width / sizeX;
+        const height = canvas.height / sizeY;
+        for (let i = 0; i < states.length; i++) {
+            if (states[i] != 1) continue;
+            const x = i % sizeX;
+            const y = Math.floor(i / sizeX);
+            const left = (x + INSET) * width;
+            const top = canvas.height - (y + 1 - INSET) * height;
+            const highlight = highlightOf(x, y);
+            context.fillStyle = highlight ?? colorOf(x, y);
+            context.fillRect(left, top, width * (1 - 2 * INSET), height * (1 - 2 * INSET));
+            if (highlight && theme.holdStyle == HoldStyle.OUTLINE) {
+                const border = (1 - 2 * INSET) * OUTLINE;
+                context.fillStyle = colorOf(x, y);
+                context.fillRect(left + width * border, top + height * border,
+                    width * (1 - 2 * INSET - 2 * border), height * (1 - 2 * INSET - 2 * border));
+            }
+        }
+    }
+
+    //Cell colors from the cell shader's fragmentMain: the hold highlight for held dice, the suggestion
+    //highlight for suggested holds between rolls, the scoring highlight for the dice that made the
+    //settled hand, the palette gradient otherwise
+    function cellColor(x, y) {
+        return cssColor(paletteColor(theme, x / board.sizeX, y / board.sizeY));
+    }
+
+    function cellHighlight(controlArray) {
+        return x => {
+            if (controlArray[x + 1] == 1) {
+                return cssColor(theme.hold);
+            }
+            if (controlArray[0] % 2 == 0 && controlArray[x + 1] == 2) {
+                return cssColor(theme.suggested);
+            }
+            if (controlArray[x + 1] == 5) {
+                return cssColor(theme.scoring);
+            }
+            return null;
+        };
+    }
+
+    function draw(controlArray) {
+        context.fillStyle = cssColor(theme.background);
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        drawGrid(cellStateArray, board.sizeX, board.sizeY, cellColor, cellHighlight(controlArray));
+        drawGrid(board.pips, board.pipSizeX, board.pipSizeY, () => cssColor(theme.pips));
+    }
+
+    function advance(controlArray) {
+        cellStateArray = stepCells(board, cellStateArray, controlArray);
+    }
+
+    function step(controlArray) {
+        advance(controlArray);
+        draw(controlArray);
+    }
+
+    return {
+        name: "Canvas 2D",
+        setCells: cells => { cellStateArray = Uint32Array.from(cells); },
+        step,
+        advance,
+        draw,
+        readCells: async () => cellStateArray.slice(),
+        setTheme: value => { theme = value; },
+    };
+}
@@ -0,0 +1,197 @@
+//<dice-poker>: the game as a custom element, to drop into any page, as many times as wanted.
+//Each element has its own game, canvas and status area in its shadow DOM, only takes keys while it
+//has focus, and re-dispatches the game's events (see GameEvent) from itself, bubbling out of the shadow DOM.
+//Attributes, read once when the element is connected:
+//  balance   starting balance, 100 by default
+//  bet       starting bet, the table minimum by default
+//  min, max  table limits, 10 and 100 by default; bets go up and down in steps of the minimum
+//  paytable  built-in paytable name or the URL of a JSON paytable, "classic" by default
+//  theme     built-in theme name or the URL of a JSON theme, the page's saved pick by default
+//  rolls, dice, faces, seed   as the ?rolls, ?dice, ?faces and ?seed parameters of the full page
+//Scripts can wait for `ready`, then drive `game` with its promise-returning commands.
+//  <script type="module" src="DicePoker.js"></script>
+//  <dice-poker balance="500" bet="20" paytable="bigStraight"></dice-poker>
+import { DiceGame, GameEvent, State } from "./Engine.js";
+import { createRng } from "./Random.js";
+import { Paytables, parsePaytable } from "./Paytable.js";
+import { createBoard } from "./Board.js";
+import { createBoardView } from "./BoardView.js";
+import { ThemePreference, Themes, parseTheme } from "./Theme.js";
+import { Action, attachInput } from "./Input.js";
+import { MotionPreference, describeHeldDice, describeRoll, describeResult } from "./Accessibility.js";
+
+const TEMPLATE = `
+    <style>
+        :host { display: inline-block; font-family: sans-serif; }
+        :host(:focus) { outline: 2px solid #88f; }
+        canvas { display: block; width: 100%; touch-action: manipulation; }
+        .announcer { position: absolute; width: 1px; height: 1px; overflow: hidden; clip-path: inset(50%); }
+    </style>
+    <canvas role="img" aria-label="Dice"></canvas>
+    <div class="status"><span class="round"></span><br>Balance: <span class="balance"></span></div>
+    <div class="controls">
+        <button data-action="roll" tabindex="-1">Roll</button>
+        <button data-action="lowerBet" tabindex="-1">Bet -</button>
+        <button data-action="raiseBet" tabindex="-1">Bet +</button>
+        <button data-action="rebuy" tabindex="-1">Rebuy</button>
+    </div>
+    <div class="announcer" role="status" aria-live="polite"></div>
+`;
+
+async function loadPaytable(name) {
+    return Object.hasOwn(Paytables, name) ? Paytables[name] : parsePaytable(await (await fetch(name)).text());
+}
+
+async function loadTheme(name) {
+    if (name === null) {
+        return new ThemePreference().theme;
+    }
+    return Object.hasOwn(Themes, name) ? Themes[name] : parseTheme(await (await fetch(name)).text());
+}
+
+export class DicePokerElement extends HTMLElement {
+    #setUp = null;
+    #attachInput = null;
+    #detachInput = null;
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: "open" }).innerHTML = TEMPLATE;
+        this.game = null;
+    }
+
+    //Resolves to the element once the game is set up
+    get ready() {
+        return this.#setUp ?? Promise.reject(new Error("<dice-poker> isn't connected yet"));
+    }
+
+    connectedCallback() {
+        if (!this.hasAttribute("tabindex")) {
+            this.tabIndex = 0;
+        }
+        this.#setUp ??= this.#start().then(() => this);
+        //also takes input again when the element is moved or put back into the page
+        this.#setUp.then(() => {
+            if (this.isConnected) {
+                this.#detachInput ??= this.#attachInput();
+            }
+        }, error => {
+            this.#part("round").textContent = `Could not start: ${error.message}`;
+            console.error(error);
+        });
+    }
+
+    disconnectedCallback() {
+        this.#detachInput?.();
+        this.#detachInput = null;
+    }
+
+    #part(name) {
+        return this.shadowRoot.querySelector("." + name);
+    }
+
+    #number(name, fallback) {
+        return this.hasAttribute(name) ? Number(this.getAttribute(name)) : fallback;
+    }
+
+    async #start() {
+        const board = createBoard(this.#number("dice", 5), this.#number("faces", 6));
+        const min = this.#number("min", 10);
+        const game = new DiceGame({
+            diceCount: board.sizeX,
+            faceCount: board.sizeY,
+            rolls: this.#number("rolls", 2),
+            balance: this.#number("balance", 100),
+            bet: this.#number("bet", min),
+            limits: { min, max: this.#number("max", 100), step: min },
+            rng: createRng(this.#number("seed", undefined)),
+            paytable: await loadPaytable(this.getAttribute("paytable") ?? "classic"),
+        });
+        const canvas = this.shadowRoot.querySelector("canvas");
+        const view = await createBoardView(canvas, board, {
+            motion: new MotionPreference(),
+            theme: await loadTheme(this.getAttribute("theme")),
+        });
+        view.show(game.dice);
+
+        const round = this.#part("round");
+        const announce = text => { this.#part("announcer").textContent = text; };
+        const showBalance = () => { this.#part("balance").textContent = `${game.balance} (bet ${game.stake})`; };
+        showBalance();
+        if (game.state == State.BROKE) {
+            round.textContent = "Out of credits! Rebuy to play on";
+        }
+
+        game.spin = dice => view.roll(dice);
+        game.addEventListener(GameEvent.ROLL_START, () => {
+            view.sync(game);
+            round.textContent = "Rolling... ";
+        });
+        game.addEventListener(GameEvent.ROLL_END, () => {
+            view.sync(game);
+            if (game.state == State.HOLDING) {
+                round.textContent = `Roll ${game.rollsDone} of ${game.rollsPerRound} - choose your holds!`;
+                announce(describeRoll(game));
+            }
+        });
+        game.addEventListener(GameEvent.HOLD_CHANGE, () => {
+            view.sync(game);
+            view.draw();
+            announce(describeHeldDice(game.dice, game.holds));
+        });
+        game.addEventListener(GameEvent.HAND_EVALUATED, () => {
+            view.mark(game.evaluation.scoringDice);
+            round.textContent = game.handName + "! ";
+            if (game.state == State.BROKE) {
+                round.textContent += "Out of credits! Rebuy to play on";
+            }
+            announce(`${describeRoll(game)} ${describeResult(game)}`);
+        });
+        game.addEventListener(GameEvent.BALANCE_CHANGE, showBalance);
+        //the page hears the game's events from the element itself
+        for (const type of Object.values(GameEvent)) {
+            game.addEventListener(type, event => {
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail, bubbles: true, composed: true }));
+            });
+        }
+
+        const onAction = action => {
+            switch (action.type) {
+                case Action.ROLL:
+                    if (game.can("bet") || game.can("roll")) {
+                        game.play().catch(error => {
+                            round.textContent = `The roll failed: ${error.message}`;
+                            console.error(error);
+                        });
+                    }
+                    break;
+                case Action.HOLD:
+                    if (game.can("toggleHold")) {
+                        game.toggleHold(action.die);
+                    }
+                    break;
+                //these actions are named after the game's commands
+                case Action.RAISE_BET:
+                case Action.LOWER_BET:
+                case Action.MAX_BET:
+                    if (game.can("changeBet")) {
+                        game[action.type]();
+                        showBalance();
+                    }
+                    break;
+                case Action.REBUY:
+                    if (game.can("rebuy")) {
+                        game.rebuy();
+                        round.textContent = "";
+                    }
+                    break;
+            }
+        };
+        this.game = game;
+        this.#attachInput = () => attachInput({ canvas, board, controls: this.#part("controls"), keys: this, onAction });
+    }
+}
+
+if (!customElements.get("dice-poker")) {
+    customElements.define("dice-poker", DicePokerElement);
+}
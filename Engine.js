@@ -0,0 +1,489 @@
+//Game rules without any DOM or GPU access, so they can run in Node as well as in the browser.
+//The canvas UI in Main.js is just one client: it calls bet/roll/stop/settle and draws the result.
+//Other clients can follow a game through its events instead, see GameEvent, and drive it with the
+//promise-returning commands placeBet, hold and play.
+import { createRng } from "./Random.js";
+import { Hand, Paytables, payoutFor } from "./Paytable.js";
+
+export const DICE_COUNT = 5;
+export const FACE_COUNT = 6;
+export const ROLLS_PER_ROUND = 2;
+export const BET = 10;
+export const REBUY = 100;
+export const MAX_DOUBLES = 5;
+
+//Round states. A round goes IDLE/SETTLED -> READY -> ROLLING, then HOLDING -> ROLLING again for every
+//roll after the first, then ROLLED -> SETTLED, or BROKE when the balance no longer covers the table minimum.
+//A winning hand can then be gambled: SETTLED/BROKE -> GAMBLING -> SETTLED/BROKE once it's lost or collected
+export const State = Object.freeze({
+    IDLE: "idle", //no round played yet
+    READY: "ready", //bet placed, waiting for the first roll
+    ROLLING: "rolling", //dice are spinning
+    HOLDING: "holding", //between rolls, holds can be toggled
+    ROLLED: "rolled", //last roll finished, waiting to be paid out
+    SETTLED: "settled", //hand evaluated and paid out
+    GAMBLING: "gambling", //the payout is at stake on high/low guesses
+    BROKE: "broke", //out of credits, only a rebuy gets back in
+});
+
+//What a hand is played for
+export const Mode = Object.freeze({
+    PAYTABLE: "paytable", //paid by the paytable
+    DUEL: "duel", //against a dealer's hand rolled with the bet, the better hand by rank and faces wins even money
+});
+
+//How a duel ends for the player
+export const Outcome = Object.freeze({
+    WIN: "win", //paid twice the stake
+    PUSH: "push", //a tie, the stake comes back
+    LOSE: "lose",
+});
+
+//Guesses for the double-or-nothing gamble
+export const Guess = Object.freeze({
+    LOW: "low",
+    HIGH: "high",
+});
+
+//Events a DiceGame dispatches, as CustomEvents with these details
+export const GameEvent = Object.freeze({
+    ROLL_START: "rollstart", //{ roll, holds }, the dice are already decided
+    ROLL_END: "rollend", //{ roll, dice, holds }, once the client has stopped the roll
+    HOLD_CHANGE: "holdchange", //{ die, held, holds }
+    HAND_EVALUATED: "handevaluated", //{ hand, handName, stake, payout, scoringDice, value, dealerDice, outcome }
+    BALANCE_CHANGE: "balancechange", //{ balance, change }
+    GAMBLE: "gamble", //{ guess, die, won, winnings, doubles } after each guess
+    GAMBLE_END: "gambleend", //{ stake, collected, doubles } once the gamble is lost or collected
+});
+
+//Which states each action may be taken from
+const ALLOWED = {
+    changeBet: [State.IDLE, State.SETTLED],
+    rebuy: [State.BROKE],
+    bet: [State.IDLE, State.SETTLED],
+    roll: [State.READY, State.HOLDING],
+    stop: [State.ROLLING],
+    toggleHold: [State.HOLDING],
+    settle: [State.ROLLED],
+    gamble: [State.SETTLED, State.BROKE],
+    guess: [State.GAMBLING],
+    collect: [State.GAMBLING],
+};
+
+export class GameStateError extends Error {
+    constructor(action, state) {
+        super(`Cannot ${action} while ${state}`);
+        this.name = "GameStateError";
+        this.action = action;
+        this.state = state;
+    }
+}
+
+export class DiceGame extends EventTarget {
+    //All randomness comes from rng, so the same seed and the same holds always give the same hands.
+    //Bets go from limits.min to limits.max in steps of limits.step; a rebuy adds rebuy credits.
+    //Each round has `rolls` rolls, with holds chosen between them, of diceCount dice with faceCount faces.
+    //play() waits for spin(dice) between rolling and stopping, e.g. for an animation; without one the dice land at once.
+    //A winning hand's payout can be gambled on up to maxDoubles high/low guesses, 0 turns the gamble off.
+    //mode is from Mode: in a duel the bet also rolls the dealer's hand, all at once.
+    constructor({
+        diceCount = DICE_COUNT,
+        faceCount = FACE_COUNT,
+        rolls = ROLLS_PER_ROUND,
+        balance = 100,
+        bet = BET,
+        limits = { min: BET, max: 10 * BET, step: BET },
+        rebuy = REBUY,
+        rng = createRng(),
+        paytable = Paytables.classic,
+        spin = null,
+        maxDoubles = MAX_DOUBLES,
+        mode = Mode.PAYTABLE,
+    } = {}) {
+        super();
+        if (!(limits.min > 0 && limits.step > 0 && limits.max >= limits.min)) {
+            throw new RangeError(`Invalid bet limits ${limits.min}-${limits.max} in steps of ${limits.step}`);
+        }
+        if (!(Number.isInteger(rolls) && rolls >= 1)) {
+            throw new RangeError(`Invalid number of rolls per round: ${rolls}`);
+        }
+        if (!(Number.isInteger(diceCount) && diceCount >= 1 && Number.isInteger(faceCount) && faceCount >= 2)) {
+            throw new RangeError(`Invalid dice: ${diceCount} dice with ${faceCount} faces`);
+        }
+        if (!Object.values(Mode).includes(mode)) {
+            throw new RangeError(`Unknown game mode "${mode}"`);
+        }
+        this.rollsPerRound = rolls;
+        this.diceCount = diceCount;
+        this.faceCount = faceCount;
+        this.balance = balance;
+        this.limits = { ...limits };
+        this.rebuyAmount = rebuy;
+        this.stake = this.#clampBet(bet);
+        this.rng = rng;
+        this.paytable = paytable;
+        this.spin = spin;
+        this.maxDoubles = maxDoubles;
+        this.mode = mode;
+        this.state = State.IDLE;
+        this.#checkCredits();
+        this.rollsDone = 0;
+        this.holds = Array(diceCount).fill(false);
+        this.dice = Array.from({ length: diceCount }, () => this.#rollDie()); //faces showing before the first round
+        this.hand = null;
+        this.payout = 0;
+        this.evaluation = null; //evaluateHand's result once the hand is settled
+        this.dealerDice = null; //the dealer's hand in a duel, rolled with the bet
+        this.dealerEvaluation = null;
+        this.outcome = null; //from Outcome once a duel is settled
+        this.gamble = null; //{ stake, winnings, doubles, guesses, done } once this hand's payout is gambled
+    }
+
+    get seed() {
+        return this.rng.seed;
+    }
+
+    get rollsLeft() {
+        return this.rollsPerRound - this.rollsDone;
+    }
+
+    //Same numbering as controlArray[0]: 0 idle, odd while rolling (1 for the first roll, 3 for the second...),
+    //even between rolls while choosing holds, and 2 * rollsPerRound once evaluated
+    get phase() {
+        switch (this.state) {
+            case State.ROLLING:
+                return this.rollsDone * 2 - 1;
+            case State.HOLDING:
+            case State.ROLLED:
+            case State.SETTLED:
+                return this.rollsDone * 2;
+            default:
+                return 0;
+        }
+    }
+
+    can(action) {
+        //only a win can be gambled, once per hand; a duel's push pays the stake back but isn't a win
+        const won = this.mode == Mode.DUEL ? this.outcome == Outcome.WIN : this.payout > 0;
+        if (action == "gamble" && !(won && this.gamble === null && this.maxDoubles > 0)) {
+            return false;
+        }
+        return ALLOWED[action].includes(this.state);
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    #expect(action) {
+        if (!this.can(action)) {
+            throw new GameStateError(action, this.state);
+        }
+    }
+
+    //Rounds a bet down onto the table's steps and into its limits
+    #clampBet(amount) {
+        const { min, max, step } = this.limits;
+        const steps = Math.floor((Math.min(amount, max) - min) / step);
+        return min + Math.max(0, steps) * step;
+    }
+
+    //Largest bet the table and the balance allow
+    get maxAffordableBet() {
+        return this.#clampBet(Math.min(this.limits.max, this.balance));
+    }
+
+    setBet(amount) {
+        this.#expect("changeBet");
+        this.stake = this.#clampBet(amount);
+        return this.stake;
+    }
+
+    raiseBet() {
+        return this.setBet(Math.min(this.stake + this.limits.step, this.maxAffordableBet));
+    }
+
+    lowerBet() {
+        return this.setBet(this.stake - this.limits.step);
+    }
+
+    maxBet() {
+        return this.setBet(this.maxAffordableBet);
+    }
+
+    rebuy() {
+        this.#expect("rebuy");
+        this.balance += this.rebuyAmount;
+        this.state = State.IDLE;
+        this.#checkCredits();
+        this.#emit(GameEvent.BALANCE_CHANGE, { balance: this.balance, change: this.rebuyAmount });
+    }
+
+    //Goes BROKE when the balance can't cover the table minimum, otherwise keeps the bet affordable
+    #checkCredits() {
+        if (this.balance < this.limits.min) {
+            this.state = State.BROKE;
+        } else {
+            this.stake = Math.min(this.stake, this.maxAffordableBet);
+        }
+    }
+
+    bet() {
+        this.#expect("bet");
+        if (this.stake > this.balance) {
+            throw new RangeError(`Bet of ${this.stake} is more than the balance of ${this.balance}`);
+        }
+        this.balance -= this.stake;
+        this.rollsDone = 0;
+        this.holds.fill(false);
+        this.hand = null;
+        this.payout = 0;
+        this.evaluation = null;
+        this.dealerEvaluation = null;
+        this.outcome = null;
+        this.gamble = null;
+        //the dealer's dice are drawn before the player's
+        this.dealerDice = this.mode == Mode.DUEL ? Array.from({ length: this.diceCount }, () => this.#rollDie()) : null;
+        this.state = State.READY;
+        this.#emit(GameEvent.BALANCE_CHANGE, { balance: this.balance, change: -this.stake });
+    }
+
+    #rollDie() {
+        return this.rng.int(this.faceCount) + 1;
+    }
+
+    //The outcome is decided here, up front; clients only animate towards this.dice
+    roll() {
+        this.#expect("roll");
+        this.rollsDone++;
+        for (let i = 0; i < this.diceCount; i++) {
+            if (!this.holds[i]) {
+                this.dice[i] = this.#rollDie();
+            }
+        }
+        this.state = State.ROLLING;
+        this.#emit(GameEvent.ROLL_START, { roll: this.rollsDone, holds: [...this.holds] });
+        return this.dice;
+    }
+
+    //Ends the running roll once the client has finished animating it
+    stop() {
+        this.#expect("stop");
+        this.state = this.rollsDone < this.rollsPerRound ? State.HOLDING : State.ROLLED;
+        this.#emit(GameEvent.ROLL_END, { roll: this.rollsDone, dice: [...this.dice], holds: [...this.holds] });
+        return this.dice;
+    }
+
+    toggleHold(i) {
+        this.#expect("toggleHold");
+        if (!(i >= 0 && i < this.diceCount)) {
+            throw new RangeError(`No die at index ${i}`);
+        }
+        this.holds[i] = !this.holds[i];
+        this.#emit(GameEvent.HOLD_CHANGE, { die: i, held: this.holds[i], holds: [...this.holds] });
+        return this.holds[i];
+    }
+
+    get handName() {
+        return this.hand && this.paytable.hands[this.hand].name;
+    }
+
+    settle() {
+        this.#expect("settle");
+        this.evaluation = evaluateHand(this.dice, this.paytable, this.stake);
+        this.hand = this.evaluation.type;
+        if (this.mode == Mode.DUEL) {
+            this.dealerEvaluation = evaluateHand(this.dealerDice, this.paytable, this.stake);
+            const result = compareHands(this.dice, this.dealerDice, this.paytable);
+            this.outcome = result > 0 ? Outcome.WIN : result < 0 ? Outcome.LOSE : Outcome.PUSH;
+            this.payout = { [Outcome.WIN]: 2 * this.stake, [Outcome.PUSH]: this.stake, [Outcome.LOSE]: 0 }[this.outcome];
+        } else {
+            this.payout = this.evaluation.payout;
+        }
+        this.balance += this.payout;
+        this.state = State.SETTLED;
+        this.#checkCredits();
+        const { scoringDice, value } = this.evaluation;
+        this.#emit(GameEvent.HAND_EVALUATED, {
+            hand: this.hand, handName: this.handName, stake: this.stake, payout: this.payout, scoringDice: [...scoringDice], value,
+            dealerDice: this.dealerDice && [...this.dealerDice], outcome: this.outcome,
+        });
+        this.#emit(GameEvent.BALANCE_CHANGE, { balance: this.balance, change: this.payout });
+        return this.payout;
+    }
+
+    //Puts the hand's payout back at stake for double or nothing
+    startGamble() {
+        this.#expect("gamble");
+        this.gamble = { stake: this.payout, winnings: this.payout, doubles: 0, guesses: [], done: false };
+        this.balance -= this.payout;
+        this.state = State.GAMBLING;
+        this.#emit(GameEvent.BALANCE_CHANGE, { balance: this.balance, change: -this.payout });
+    }
+
+    //One die: LOW wins on the lower half of the faces, HIGH on the upper half; with an odd number
+    //of faces the middle one loses both. A win doubles the winnings, collecting them at maxDoubles.
+    guess(guess) {
+        this.#expect("guess");
+        if (!Object.values(Guess).includes(guess)) {
+            throw new RangeError(`Unknown guess "${guess}"`);
+        }
+        const die = this.#rollDie();
+        const won = guess == Guess.LOW ? die <= Math.floor(this.faceCount / 2) : die > Math.ceil(this.faceCount / 2);
+        const gamble = this.gamble;
+        gamble.winnings = won ? gamble.winnings * 2 : 0;
+        gamble.doubles += won ? 1 : 0;
+        gamble.guesses.push({ guess, die, won });
+        this.#emit(GameEvent.GAMBLE, { guess, die, won, winnings: gamble.winnings, doubles: gamble.doubles });
+        if (!won || gamble.doubles >= this.maxDoubles) {
+            this.#endGamble();
+        }
+        return { die, won };
+    }
+
+    //Takes the winnings so far
+    collect() {
+        this.#expect("collect");
+        this.#endGamble();
+        return this.gamble.winnings;
+    }
+
+    #endGamble() {
+        const gamble = this.gamble;
+        gamble.done = true;
+        this.balance += gamble.winnings;
+        this.state = State.SETTLED;
+        this.#checkCredits();
+        this.#emit(GameEvent.GAMBLE_END, { stake: gamble.stake, collected: gamble.winnings, doubles: gamble.doubles });
+        this.#emit(GameEvent.BALANCE_CHANGE, { balance: this.balance, change: gamble.winnings });
+    }
+
+    //Promise-returning commands. They throw the same errors as the commands above, as rejections.
+
+    //Places the bet, optionally changing it first
+    async placeBet(amount = this.stake) {
+        this.setBet(amount);
+        this.bet();
+        return this.stake;
+    }
+
+    //Sets whether die i is held
+    async hold(i, held = true) {
+        if (this.holds[i] != held) {
+            this.toggleHold(i);
+        }
+        return [...this.holds];
+    }
+
+    //Plays the next roll: bets first if the last round is over, waits for the spin, and settles
+    //after the last roll. Resolves to the dice, with the hand and payout once the round is settled.
+    //The dice are decided before the spin, so a spin that fails still ends the roll, then rejects.
+    async play() {
+        if (this.can("bet")) {
+            this.bet();
+        }
+        this.roll();
+        try {
+            await this.spin?.([...this.dice]);
+        } finally {
+            this.stop();
+            if (this.state == State.ROLLED) {
+                this.settle();
+            }
+        }
+        return { dice: [...this.dice], hand: this.hand, payout: this.payout, state: this.state };
+    }
+}
+
+//Face a straight starts on, or 0 if the dice aren't one: every die different, with no gaps
+function straightStart(counts, size) {
+    const low = counts.findIndex(x => x > 0);
+    return counts.slice(low, low + size).filter(x => x == 1).length == size ? low + 1 : 0;
+}
+
+//Faces shown by at least n dice, highest first
+function facesWith(counts, n) {
+    return counts.flatMap((count, face) => count >= n ? [face + 1] : []).reverse();
+}
+
+//The faces making the best set of n of a kind, or null
+function kind(counts, n) {
+    const [face] = facesWith(counts, n);
+    return face ? { value: face, faces: [face] } : null;
+}
+
+function straight(counts, size, high) {
+    const start = straightStart(counts, size);
+    if (!(high ? start > 1 : start == 1)) {
+        return null;
+    }
+    return { value: start + size - 1, faces: Array.from({ length: size }, (_, i) => start + i) };
+}
+
+//What each hand type needs, given how many dice show each face and how many dice there are.
+//Each returns null when the dice don't make the hand, or the faces that make it and its value:
+//the face of the kind (the three of a full house, the higher pair of two pairs) or the top of the straight.
+//The straights are named for five six-sided dice: the one from 1 up, and the higher ones.
+const matchers = {
+    [Hand.FIVE_OF_A_KIND]: counts => kind(counts, 5),
+    [Hand.FOUR_OF_A_KIND]: counts => kind(counts, 4),
+    [Hand.FULL_HOUSE]: counts => {
+        const [three] = facesWith(counts, 3);
+        const pair = facesWith(counts, 2).find(face => face != three);
+        return three && pair ? { value: three, faces: [three, pair] } : null;
+    },
+    [Hand.SIX_HIGH_STRAIGHT]: (counts, size) => straight(counts, size, true),
+    [Hand.FIVE_HIGH_STRAIGHT]: (counts, size) => straight(counts, size, false),
+    [Hand.THREE_OF_A_KIND]: counts => kind(counts, 3),
+    [Hand.TWO_PAIRS]: counts => {
+        const pairs = facesWith(counts, 2);
+        return pairs.length >= 2 ? { value: pairs[0], faces: pairs.slice(0, 2) } : null;
+    },
+    [Hand.PAIR]: counts => kind(counts, 2),
+    [Hand.NOTHING_BUT_A_SIX]: counts => counts[5] > 0 ? { value: 6, faces: [6] } : null,
+    [Hand.NOTHING]: () => ({ value: null, faces: [] }),
+};
+
+//Returns the best hand in the paytable that the dice make: its type, its payout on `stake`,
+//the indices of the dice that make it and its value, see matchers
+export function evaluateHand(dice, paytable = Paytables.classic, stake = BET) {
+    const counts = Array(Math.max(...dice)).fill(0);
+    for (let i = 0; i < dice.length; i++) {
+        counts[dice[i] - 1]++;
+    }
+    for (const type of paytable.order) {
+        const match = matchers[type](counts, dice.length);
+        if (match) {
+            return {
+                type,
+                payout: payoutFor(paytable, type, stake),
+                scoringDice: dice.flatMap((face, i) => match.faces.includes(face) ? [i] : []),
+                value: match.value,
+            };
+        }
+    }
+}
+
+//The faces of a hand in tie-break order: bigger sets first and higher faces first among sets of a size,
+//so the faces making the hand come before the kickers, e.g. 3 5 1 5 3 gives 5 5 3 3 1
+export function tieBreakFaces(dice) {
+    const counts = new Map();
+    for (const face of dice) {
+        counts.set(face, (counts.get(face) ?? 0) + 1);
+    }
+    return [...dice].sort((a, b) => counts.get(b) - counts.get(a) || b - a);
+}
+
+//Compares two hands, first by the rank of the best hand type each makes in the paytable, then face by face
+//in tie-break order, so a pair of sixes beats a pair of twos and equal pairs go to the higher kickers.
+//Above 0 when a wins, below 0 when b wins, 0 for a tie.
+export function compareHands(a, b, paytable = Paytables.classic) {
+    const rank = dice => paytable.hands[evaluateHand(dice, paytable).type].rank;
+    if (rank(a) != rank(b)) {
+        return rank(a) - rank(b);
+    }
+    const facesA = tieBreakFaces(a);
+    const facesB = tieBreakFaces(b);
+    const i = facesA.findIndex((face, i) => face != facesB[i]);
+    return i < 0 ? 0 : facesA[i] - facesB[i];
+}
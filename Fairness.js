@@ -0,0 +1,116 @@
+//Provably fair rolls by commit and reveal.
+//Before each round a secret server seed is picked and its SHA-256 hash, the commitment, is published.
+//Every die of the round comes from SHA-256 of "serverSeed:clientSeed:nonce:n", the nth draw,
+//so neither side can steer the dice alone: the client seed is the player's, the nonce counts rounds.
+//Once the hand and any gamble on it are over the server seed is revealed, and verifyHand (or tools/verify-fairness.js)
+//checks it against the commitment and replays the dice from the seeds and the recorded holds.
+import { FACE_COUNT, Mode } from "./Engine.js";
+
+async function sha256(text) {
+    return new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export async function sha256Hex(text) {
+    return toHex(await sha256(text));
+}
+
+export function randomHex(bytes = 32) {
+    return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+//A generator shaped like createRng's for one round, with its `draws` values worked out up front
+//since crypto.subtle is asynchronous and rolling isn't
+export async function createRoundRng(serverSeed, clientSeed, nonce, draws) {
+    const values = [];
+    for (let n = 0; n < draws; n++) {
+        const digest = await sha256(`${serverSeed}:${clientSeed}:${nonce}:${n}`);
+        values.push(new DataView(digest.buffer).getUint32(0));
+    }
+    let drawn = 0;
+
+    //Float in [0, 1)
+    function next() {
+        if (drawn >= values.length) {
+            throw new RangeError(`Round ${nonce} only has ${values.length} draws`);
+        }
+        return values[drawn++] / 4294967296;
+    }
+
+    //Integer in [0, max)
+    function int(max) {
+        return Math.floor(next() * max);
+    }
+
+    return { seed: null, next, int };
+}
+
+//Commits to one round after another for a client seed, numbering them with the nonce
+export class FairRounds {
+    constructor({ clientSeed = randomHex(16), nonce = 0 } = {}) {
+        this.clientSeed = clientSeed;
+        this.nonce = nonce;
+    }
+
+    //Picks the next round's server seed and works out enough draws for every die of every roll,
+    //the dealer's dice in a duel and every gamble guess. Resolves to the round: publish its commitment before it's played, play it
+    //with its rng, and only call reveal() once it's over, gamble included.
+    async next(game) {
+        const nonce = ++this.nonce;
+        const clientSeed = this.clientSeed;
+        const serverSeed = randomHex();
+        const commitment = await sha256Hex(serverSeed);
+        const hands = game.mode == Mode.DUEL ? game.rollsPerRound + 1 : game.rollsPerRound;
+        const rng = await createRoundRng(serverSeed, clientSeed, nonce, game.diceCount * hands + game.maxDoubles);
+        return { nonce, clientSeed, commitment, rng, reveal: () => ({ commitment, serverSeed, clientSeed, nonce }) };
+    }
+}
+
+//Checks a hand from the hand history that carries revealed seeds in `fairness`, and its gamble if it has one.
+//Resolves to the problems found, an empty list when the hand is fair, and the dice the seeds give.
+export async function verifyHand(record) {
+    const { commitment, serverSeed, clientSeed, nonce } = record.fairness ?? {};
+    if (serverSeed === undefined) {
+        return { problems: ["no revealed seeds"], rolls: [] };
+    }
+    const problems = [];
+    if (await sha256Hex(serverSeed) != commitment) {
+        problems.push(`server seed doesn't match the commitment ${commitment}`);
+    }
+    const diceCount = record.rolls[0].dice.length;
+    const faces = record.faces ?? FACE_COUNT;
+    const guesses = record.gamble?.guesses ?? [];
+    const dealer = record.dealer ?? [];
+    const rng = await createRoundRng(serverSeed, clientSeed, nonce, diceCount * record.rolls.length + dealer.length + guesses.length);
+    //a duel's dealer dice are drawn with the bet, before the player's
+    const dealerExpected = dealer.map(() => rng.int(faces) + 1);
+    if (dealerExpected.join() != dealer.join()) {
+        problems.push(`the dealer shows ${dealer.join(" ")} but the seeds give ${dealerExpected.join(" ")}`);
+    }
+    //rolled like DiceGame.roll: every die that isn't held, left to right
+    const dice = [];
+    const rolls = record.rolls.map(({ holds }) => {
+        for (let die = 0; die < diceCount; die++) {
+            if (!holds[die]) {
+                dice[die] = rng.int(faces) + 1;
+            }
+        }
+        return [...dice];
+    });
+    rolls.forEach((expected, i) => {
+        if (expected.join() != record.rolls[i].dice.join()) {
+            problems.push(`roll ${i + 1} shows ${record.rolls[i].dice.join(" ")} but the seeds give ${expected.join(" ")}`);
+        }
+    });
+    //the gamble's dice are drawn after the hand's, one per guess
+    guesses.forEach(({ die }, i) => {
+        const expected = rng.int(faces) + 1;
+        if (die != expected) {
+            problems.push(`gamble guess ${i + 1} shows ${die} but the seeds give ${expected}`);
+        }
+    });
+    return { problems, rolls };
+}
@@ -0,0 +1,110 @@
+//Record of every hand played: the bet, each roll with the holds it was made with, the dealer's dice
+//in a duel, and the payout.
+//Exported as JSON so disputed hands can be looked at later or replayed on the board.
+import { DICE_COUNT, FACE_COUNT, Guess } from "./Engine.js";
+
+const FORMAT_VERSION = 1;
+
+export class HandHistory {
+    constructor() {
+        this.hands = [];
+        this.current = null;
+        this.last = null; //the last hand finished here, which imported hands never are
+    }
+
+    //Call right after the bet is placed
+    begin(game) {
+        this.current = {
+            time: new Date().toISOString(),
+            seed: game.seed, //null for a provably fair round, whose seeds are added as `fairness` once revealed
+            paytable: game.paytable.name,
+            faces: game.faceCount,
+            bet: game.stake,
+            rolls: [],
+        };
+        if (game.dealerDice) {
+            this.current.dealer = [...game.dealerDice];
+        }
+    }
+
+    //holds are the holds the roll was made with as 0/1 like controlArray[1..], dice are where it landed
+    roll(holds, dice) {
+        this.current.rolls.push({ holds: holds.map(Number), dice: [...dice] });
+    }
+
+    //Call after the hand is settled
+    finish(game) {
+        const record = {
+            ...this.current,
+            hand: game.hand,
+            handName: game.handName,
+            payout: game.payout,
+            balance: game.balance,
+        };
+        if (game.outcome) {
+            record.outcome = game.outcome;
+        }
+        this.hands.push(record);
+        this.current = null;
+        this.last = record;
+        return record;
+    }
+
+    //Adds to the last hand finished what only comes out after it's settled, e.g. the revealed fairness seeds
+    amend(extra) {
+        return Object.assign(this.last, extra);
+    }
+
+    //Adds a finished double-or-nothing gamble to the last hand, which it was played with
+    gamble(game) {
+        const { stake, winnings, doubles, guesses } = game.gamble;
+        return this.amend({
+            gamble: { stake, collected: winnings, doubles, guesses: guesses.map(guess => ({ ...guess })) },
+            balance: game.balance,
+        });
+    }
+
+    toJSON() {
+        return { version: FORMAT_VERSION, hands: this.hands };
+    }
+
+    //Adds the hands from an exported history and returns them; throws if the file doesn't look like one
+    import(json) {
+        const data = typeof json == "string" ? JSON.parse(json) : json;
+        if (data?.version != FORMAT_VERSION || !Array.isArray(data.hands)) {
+            throw new Error(`Not a version ${FORMAT_VERSION} hand history`);
+        }
+        data.hands.forEach(validateHand);
+        this.hands.push(...data.hands);
+        return data.hands;
+    }
+}
+
+function validateDice(values, count, isValid) {
+    return Array.isArray(values) && values.length == count && values.every(isValid);
+}
+
+//Hands from before the dice were configurable have no faces and were always DICE_COUNT dice with FACE_COUNT faces
+function validateHand(record, index) {
+    const count = record?.rolls?.[0]?.dice?.length ?? DICE_COUNT;
+    const faces = record?.faces ?? FACE_COUNT;
+    const isFace = x => Number.isInteger(x) && x >= 1 && x <= faces;
+    const ok = Array.isArray(record?.rolls) && record.rolls.length > 0 && Number.isInteger(faces) && record.rolls.every(roll =>
+        validateDice(roll.holds, count, x => x === 0 || x === 1) &&
+        validateDice(roll.dice, count, isFace)) &&
+        (record.dealer === undefined || validateDice(record.dealer, count, isFace));
+    if (!ok) {
+        throw new Error(`Hand ${index + 1} in the history has invalid rolls`);
+    }
+    //the revealed seeds and the gamble are checked by verifyHand, so they need the shapes it reads
+    const { fairness, gamble } = record;
+    if (fairness !== undefined && !(typeof fairness?.commitment == "string" && typeof fairness.serverSeed == "string" &&
+        typeof fairness.clientSeed == "string" && Number.isInteger(fairness.nonce))) {
+        throw new Error(`Hand ${index + 1} in the history has invalid fairness seeds`);
+    }
+    if (gamble !== undefined && !(Number.isFinite(gamble?.stake) && Number.isFinite(gamble.collected) &&
+        Number.isInteger(gamble.doubles) && Array.isArray(gamble.guesses) && gamble.guesses.every(guess =>
+            Object.values(Guess).includes(guess?.guess) && isFace(guess.die) && typeof guess.won == "boolean"))) {
+        throw new Error(`Hand ${index + 1} in the history has an invalid gamble`);
+    }
+}
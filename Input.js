@@ -0,0 +1,152 @@
+//One input layer for keyboard, mouse, touch and gamepad: every way of playing turns into the
+//same actions, { type } plus the die index for holds, and goes through a single handler.
+export const Action = Object.freeze({
+    ROLL: "roll",
+    HOLD: "hold",
+    HINT: "hint",
+    RAISE_BET: "raiseBet",
+    LOWER_BET: "lowerBet",
+    MAX_BET: "maxBet",
+    REBUY: "rebuy",
+    GAMBLE: "gamble",
+    GUESS_LOW: "guessLow",
+    GUESS_HIGH: "guessHigh",
+    COLLECT: "collect",
+    SELECT: "select", //gamepad cursor moved to a die, so it can be shown
+});
+
+const KEYS = {
+    " ": Action.ROLL,
+    "h": Action.HINT,
+    "ArrowUp": Action.RAISE_BET,
+    "+": Action.RAISE_BET,
+    "ArrowDown": Action.LOWER_BET,
+    "-": Action.LOWER_BET,
+    "m": Action.MAX_BET,
+    "r": Action.REBUY,
+    "g": Action.GAMBLE,
+    "ArrowLeft": Action.GUESS_LOW,
+    ",": Action.GUESS_LOW,
+    "ArrowRight": Action.GUESS_HIGH,
+    ".": Action.GUESS_HIGH,
+    "c": Action.COLLECT,
+};
+
+//Buttons of the standard gamepad layout: https://w3c.github.io/gamepad/#remapping
+const PAD_BUTTONS = {
+    0: Action.ROLL, //A
+    1: Action.HINT, //B
+    2: Action.HOLD, //X, holds the die under the cursor
+    3: Action.MAX_BET, //Y
+    4: Action.GUESS_LOW, //LB
+    5: Action.GUESS_HIGH, //RB
+    6: Action.GAMBLE, //LT
+    8: Action.COLLECT, //Back
+    9: Action.REBUY, //Start
+    12: Action.RAISE_BET, //D-pad up
+    13: Action.LOWER_BET, //D-pad down
+};
+const PAD_LEFT = 14;
+const PAD_RIGHT = 15;
+
+//The action for a key, or null; "1" to "9" hold that die
+export function keyAction(key, diceCount) {
+    if (/^[1-9]$/.test(key)) {
+        return key <= diceCount ? { type: Action.HOLD, die: key - 1 } : null;
+    }
+    return KEYS[key] ? { type: KEYS[key] } : null;
+}
+
+//The die column under a point on the canvas, the same column math as the shaders (cell.x / grid.x),
+//or null outside the board
+export function columnAt(canvas, board, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const x = (clientX - rect.left) / rect.width;
+    const y = (clientY - rect.top) / rect.height;
+    if (x < 0 || x >= 1 || y < 0 || y >= 1) {
+        return null;
+    }
+    return Math.floor(x * board.sizeX);
+}
+
+//Listens for all input and calls onAction(action) for each; `controls` is the element holding the
+//on-screen buttons, each naming its action in data-action. Keys are taken from `keys`, the whole
+//document by default, or e.g. an element that should only play while it has focus.
+//Returns a function that stops listening.
+export function attachInput({ canvas, board, controls, keys = document, onAction }) {
+    function onKeyDown(event) {
+        if (event.target.matches?.("input, select, textarea")) {
+            return; //typing, e.g. player names
+        }
+        const action = keyAction(event.key, board.sizeX);
+        if (action) {
+            if (keys != document) {
+                event.preventDefault(); //a focused game keeps SPACE and the arrows from scrolling the page
+            }
+            onAction(action);
+        }
+    }
+
+    //Clicks and taps alike; pointer events cover mouse, pen and touch
+    function onPointerUp(event) {
+        const die = columnAt(canvas, board, event.clientX, event.clientY);
+        if (die !== null) {
+            event.preventDefault();
+            onAction({ type: Action.HOLD, die });
+        }
+    }
+
+    function onControlClick(event) {
+        const button = event.target.closest("[data-action]");
+        if (button) {
+            button.blur(); //so SPACE doesn't press it again
+            keys.focus?.(); //and keys keep going to the game
+            onAction({ type: button.dataset.action });
+        }
+    }
+
+    //Gamepads can only be polled; poll once per frame while one is connected.
+    //Like the keys, a game that only plays while focused ignores the gamepad otherwise.
+    let cursor = 0;
+    let polling = 0;
+    const pressed = new Map();
+    function pollGamepads() {
+        const pads = navigator.getGamepads().filter(Boolean);
+        for (const pad of pads) {
+            const was = pressed.get(pad.index) ?? [];
+            const now = pad.buttons.map(button => button.pressed);
+            pressed.set(pad.index, now);
+            const focused = keys == document || document.activeElement == keys;
+            now.forEach((down, button) => {
+                if (!down || was[button] || !focused) return;
+                if (button == PAD_LEFT || button == PAD_RIGHT) {
+                    cursor = (cursor + (button == PAD_RIGHT ? 1 : board.sizeX - 1)) % board.sizeX;
+                    onAction({ type: Action.SELECT, die: cursor });
+                } else if (PAD_BUTTONS[button] == Action.HOLD) {
+                    onAction({ type: Action.HOLD, die: cursor });
+                } else if (PAD_BUTTONS[button]) {
+                    onAction({ type: PAD_BUTTONS[button] });
+                }
+            });
+        }
+        polling = pads.length > 0 ? requestAnimationFrame(pollGamepads) : 0;
+    }
+    function onGamepadConnected() {
+        if (!polling) {
+            polling = requestAnimationFrame(pollGamepads);
+        }
+    }
+
+    keys.addEventListener("keydown", onKeyDown);
+    canvas.addEventListener("pointerup", onPointerUp);
+    controls?.addEventListener("click", onControlClick);
+    window.addEventListener("gamepadconnected", onGamepadConnected);
+    return () => {
+        keys.removeEventListener("keydown", onKeyDown);
+        canvas.removeEventListener("pointerup", onPointerUp);
+        controls?.removeEventListener("click", onControlClick);
+        window.removeEventListener("gamepadconnected", onGamepadConnected);
+        cancelAnimationFrame(polling);
+        polling = 0;
+    };
+}
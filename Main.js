@@ -1,655 +1,762 @@
-const GRID_SIZE_X = 5;
-const GRID_SIZE_Y = 6;
-const UPDATE_INTERVAL = 10;
-const TIMEOUT_INTERVAL = 1000;
-const WORKGROUP_SIZE_X = 5;
-const WORKGROUP_SIZE_Y = 6;
-let balance = 100;
-
-const HandValues = {
-    0: "Nothing",
-    10: "Pair",
-    15: "Two pairs",
-    20: "Three of a kind",
-    30: "Five-high straight",
-    35: "Six-high straight",
-    40: "Full house",
-    50: "Four of a kind",
-    60: "Five of a kind",
+import { DICE_COUNT, FACE_COUNT, ROLLS_PER_ROUND, DiceGame, GameEvent, Guess, Mode, Outcome, State } from "./Engine.js";
+import { createRng } from "./Random.js";
+import { Paytables, parsePaytable } from "./Paytable.js";
+import { Stats } from "./Stats.js";
+import { HandHistory } from "./History.js";
+import { holdOptions } from "./Advisor.js";
+import { FACE_LAYOUTS, createBoard } from "./Board.js";
+import { DEFAULT_ROLL, Easing } from "./Animation.js";
+import { createBoardView } from "./BoardView.js";
+import { Action, attachInput } from "./Input.js";
+import { ThemePreference, Themes, parseTheme } from "./Theme.js";
+import { SoundEffects, winTier } from "./Sound.js";
+import { MotionPreference, describeDuel, describeHeldDice, describeRoll, describeResult } from "./Accessibility.js";
+import { Tournament } from "./Tournament.js";
+import { FairRounds, verifyHand } from "./Fairness.js";
+import { recordStepTrace, checkTrace } from "./SimulationCheck.js";
+
+const REPLAY_PAUSE = 1000;
+
+const params = new URLSearchParams(location.search);
+
+//Query parameters that couldn't be used, shown once the page is set up
+const paramNotices = [];
+
+//A number from the query, or the fallback with a notice when it's there but isValid says no
+function numberParam(name, fallback, isValid, requirement) {
+    if (!params.has(name)) {
+        return fallback;
+    }
+    const value = Number(params.get(name));
+    if (isValid(value)) {
+        return value;
+    }
+    paramNotices.push(`Ignored ?${name}=${params.get(name)}, it needs ${requirement}; using ${fallback}.`);
+    return fallback;
 }
 
-const canvas = document.querySelector("canvas");
+//Pass ?seed=<number> to replay a session, e.g. from a bug report; rounds aren't provably fair then
+const seedParam = params.get("seed");
+//Pass ?client-seed=<text> to mix your own seed into every provably fair round
+const clientSeedParam = params.get("client-seed");
+//Pass ?paytable=<built-in name> or ?paytable=<url of a JSON paytable> to change the payouts
+const paytableParam = params.get("paytable") ?? "classic";
+const paytable = Object.hasOwn(Paytables, paytableParam)
+    ? Paytables[paytableParam]
+    : parsePaytable(await (await fetch(paytableParam)).text());
+
+//Pass ?min=<credits>&max=<credits> to change the table limits; bets go up and down in steps of the minimum
+const minBet = numberParam("min", 10, value => Number.isFinite(value) && value > 0, "a number of credits above 0");
+const maxBet = numberParam("max", Math.max(100, minBet), value => Number.isFinite(value) && value >= minBet, `a number of credits of at least the minimum, ${minBet}`);
+
+//The bankroll carries over between visits
+const stats = new Stats();
+const handHistory = new HandHistory();
+
+//Pass ?rolls=<n> to play n rolls per round, e.g. 3 for house rules
+const rolls = numberParam("rolls", ROLLS_PER_ROUND, value => Number.isInteger(value) && value >= 1, "a whole number of at least 1");
+
+const sound = new SoundEffects();
+
+//Pass ?duration=<ms>&easing=<name from Easing> to change how the roll spins and slows down; 0 lands at once
+const rollOptions = {
+    duration: numberParam("duration", DEFAULT_ROLL.duration, value => Number.isFinite(value) && value >= 0, "a number of ms, 0 or more"),
+    easing: Easing[params.get("easing")] ?? DEFAULT_ROLL.easing,
+    onStep: () => sound.tick(),
+    onSettle: () => sound.settle(),
+};
 
-//Check the browser supports WebGPU
-if (!navigator.gpu) {
-    throw new Error("WebGPU not supported on this browser.");
+//Pass ?dice=<n>&faces=<n> to play with other dice, e.g. ?dice=6&faces=8; up to 9 faces can be drawn
+const board = createBoard(
+    numberParam("dice", DICE_COUNT, value => Number.isInteger(value) && value >= 1, "a whole number of at least 1"),
+    numberParam("faces", FACE_COUNT, value => Number.isInteger(value) && value >= 2 && value < FACE_LAYOUTS.length,
+        `a whole number from 2 to ${FACE_LAYOUTS.length - 1}`));
+//the number keys only go up to 9, more dice are held by tapping them
+document.getElementById("hold-keys").textContent = board.sizeX == 1 ? "1" : `1-${Math.min(board.sizeX, 9)}`;
+
+//Pass ?mode=duel to play against a dealer's hand for even money instead of the paytable's payouts;
+//hands are still ranked by the paytable
+let mode = params.get("mode") ?? Mode.PAYTABLE;
+if (!Object.values(Mode).includes(mode)) {
+    paramNotices.push(`Ignored ?mode=${mode}, it needs one of ${Object.values(Mode).join(", ")}; using ${Mode.PAYTABLE}.`);
+    mode = Mode.PAYTABLE;
 }
 
-//Get adapter if available, then get device
-const adapter = await navigator.gpu.requestAdapter();
-if (!adapter) {
-    throw new Error("No appropriate GPUAdapter found.");
-}
-const device = await adapter.requestDevice();
+//Table rules shared by the solo game and every tournament player's game
+const tableOptions = {
+    diceCount: board.sizeX,
+    faceCount: board.sizeY,
+    rolls: rolls,
+    paytable: paytable,
+    limits: { min: minBet, max: maxBet, step: minBet },
+    bet: minBet,
+    mode: mode,
+};
 
-//Configure canvas for WebGPU
-const context = canvas.getContext("webgpu");
-const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
-context.configure({
-    device: device,
-    format: canvasFormat,
+//The game being played: the solo game, or during a tournament the game of the player whose turn it is
+let game = new DiceGame({
+    ...tableOptions,
+    balance: stats.balance ?? 100,
+    rng: createRng(seedParam === null ? undefined : Number(seedParam)),
 });
-
-const vertices = new Float32Array([
-    //   X,    Y,
-    -0.8, -0.8, // Triangle 1 (Blue)
-    0.8, -0.8,
-    0.8, 0.8,
-
-    -0.8, -0.8, // Triangle 2 (Red)
-    0.8, 0.8,
-    -0.8, 0.8,
-]);
-
-//Creates a GPU buffer, flags it for vertex usage and as a copy destination
-//Then copies the vertices into the buffer
-const vertexBuffer = device.createBuffer({
-    label: "Cell vertices",
-    size: vertices.byteLength,
-    usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+const soloGame = game;
+let tournament = null;
+document.getElementById("paytable").textContent = game.mode == Mode.DUEL
+    ? `${game.paytable.name} ranks, even money against the dealer`
+    : game.paytable.name;
+
+//Reduced flashing follows prefers-reduced-motion until the checkbox is used
+const motion = new MotionPreference();
+const reduceFlash = document.getElementById("reduce-flash");
+reduceFlash.checked = motion.reduced;
+reduceFlash.addEventListener("change", function (event) {
+    motion.reduced = event.target.checked;
+    event.target.blur();
 });
-device.queue.writeBuffer(vertexBuffer, /*bufferOffset=*/0, vertices);
-
-//Tells GPU how to read the buffer bytes
-const vertexBufferLayout = {
-    arrayStride: 8, // 2 floats per vertex, 4 bytes per float
-    attributes: [{
-        format: "float32x2", //2 floats per vertex: https://gpuweb.github.io/gpuweb/#enumdef-gpuvertexformat
-        offset: 0, //there can be multiple attributes per element, their offsets are relative to the start of the element
-        shaderLocation: 0, // Position, see vertex shader
-    }],
-};
-
-// Create a uniform buffer that describes the grid; similar to vertex buffer
-const uniformArray = new Float32Array([GRID_SIZE_X, GRID_SIZE_Y]);
-const uniformBuffer = device.createBuffer({
-    label: "Grid Uniforms",
-    size: uniformArray.byteLength,
-    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+motion.onChange(reduced => { reduceFlash.checked = reduced; });
+
+//Volume and mute are saved with the sound effects
+const volume = document.getElementById("volume");
+const mute = document.getElementById("mute");
+volume.value = sound.volume;
+mute.checked = sound.muted;
+volume.addEventListener("input", function (event) {
+    sound.volume = Number(event.target.value);
+});
+volume.addEventListener("change", function (event) {
+    event.target.blur();
+});
+mute.addEventListener("change", function (event) {
+    sound.muted = event.target.checked;
+    event.target.blur();
 });
-device.queue.writeBuffer(uniformBuffer, 0, uniformArray);
-
-// Create an array representing the active state of each cell.
-const cellStateArray = new Uint32Array(GRID_SIZE_X * GRID_SIZE_Y);
-
-// Create two storage buffers to hold the cell state.
-const cellStateStorage = [
-    device.createBuffer({
-        label: "Cell State A",
-        size: cellStateArray.byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-    }),
-    device.createBuffer({
-        label: "Cell State B",
-        size: cellStateArray.byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-    })
-];
-
-// An extra buffer to read out the cell state for game logic
-const cellStateReadStorage =
-    device.createBuffer({
-        label: "Cell State Read",
-        size: cellStateArray.byteLength,
-        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
-    });
 
-// Enable one random cell in each column, then copy the JavaScript array 
-// into the storage buffer.
-for (let i = 0; i < GRID_SIZE_X; ++i) {
-    cellStateArray[Math.floor(Math.random() * GRID_SIZE_Y) * GRID_SIZE_X + i] = 1;
+//The player picks a built-in theme, which is saved; pass ?theme=<url of a JSON theme> for a branded look,
+//which replaces the saved pick and is offered next to the built-in ones
+const themes = { ...Themes };
+const themePreference = new ThemePreference();
+let themeName = themePreference.name;
+if (params.has("theme")) {
+    themeName = "custom";
+    themes[themeName] = parseTheme(await (await fetch(params.get("theme"))).text());
 }
-device.queue.writeBuffer(cellStateStorage[0], 0, cellStateArray);
+const themePicker = document.getElementById("theme");
+themePicker.replaceChildren(...Object.entries(themes).map(([name, theme]) => new Option(theme.name, name)));
+themePicker.value = themeName;
 
+const canvas = document.querySelector("canvas");
+const view = await createBoardView(canvas, board, { motion, rollOptions, theme: themes[themeName] });
+//In a duel the dealer's hand gets a board of its own, rolled along with the player's first roll
+let dealerView = null;
+if (mode == Mode.DUEL) {
+    document.getElementById("dealer").hidden = false;
+    dealerView = await createBoardView(document.getElementById("dealer-board"), board, {
+        motion,
+        rollOptions: { ...rollOptions, onStep: null }, //one set of ticks is enough
+        theme: themes[themeName],
+    });
+    dealerView.clear();
+}
+themePicker.addEventListener("change", function (event) {
+    if (Object.hasOwn(Themes, event.target.value)) {
+        themePreference.name = event.target.value;
+    }
+    view.setTheme(themes[event.target.value]);
+    dealerView?.setTheme(themes[event.target.value]);
+    event.target.blur();
+});
+const renderer = view.renderer;
+console.info(`Rendering with ${renderer.name}`);
+
+//Pass ?verify to check the renderer's simulation step against the reference rules before playing.
+//The logged trace can be saved and checked again with tools/check-simulation.js
+if (params.has("verify")) {
+    const trace = await recordStepTrace(renderer, board);
+    const failures = checkTrace(trace);
+    if (failures.length > 0) {
+        console.error(`${renderer.name} simulation failed ${failures.length} checks`, failures);
+    } else {
+        console.info(`${renderer.name} simulation passed all ${trace.length} checks`);
+    }
+    console.log(JSON.stringify(trace));
+}
 
-//Buffer for game controls
-const controlArray = new Uint32Array([0, 0, 0, 0, 0, 0]);
+//Buffer for game controls, see BoardView
+const controlArray = view.control;
 
-const controlStorage = device.createBuffer({
-    label: "Control Buffer",
-    size: controlArray.byteLength,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-});
+//Read out to screen readers through the live region
+function announce(text) {
+    document.getElementById("announcer").textContent = text;
+}
 
-//Shaders are GPU code that defines how to process vertices
-//takes shaderLocation 0 from vertexBefferLayout; float32x2=vec2f
-//@vertex returns 4-dimensional vector, x y z w of the vertex
-//pos can be used instead of pos.x, pos.y
-//@fragment returns 4-dimensional vector, pixel color as r, g, b, a
-const cellShaderModule = device.createShaderModule({
-    label: "Cell shader",
-    code: `
-        struct VertexInput {
-            @location(0) pos: vec2f,
-            @builtin(instance_index) instance: u32,
-        };
-
-        struct VertexOutput {
-            @builtin(position) pos: vec4f,
-            @location(0) cell: vec2f,
-        };
-
-        @group(0) @binding(0) var<uniform> grid: vec2f;
-        @group(0) @binding(1) var<storage> cellState: array<u32>;
-        @group(0) @binding(3) var<storage> control: array<u32>;
-
-        @vertex
-        fn vertexMain(input: VertexInput) -> VertexOutput {
-            let i = f32(input.instance); // Save the instance_index as a float
-            let cell = vec2f(i % grid.x, floor(i / grid.x)); // Cell coordinates from bottom left
-            let state = f32(cellState[input.instance]);
-
-            let cellOffset = cell / grid * 2; //Canvas is actually 2x2, -1..+1
-            let gridPos = (input.pos * state + 1) / grid - 1 + cellOffset;
-
-            var output: VertexOutput;
-            output.pos = vec4f(gridPos, 0, 1);
-            output.cell = cell;
-            return output;
-        }
-        
-        @fragment
-        fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
-            let c = input.cell / grid;
-            if (control[u32(input.cell.x) + 1] == 1) {
-                return vec4f(1, 1, 1, 1);
-            }
-            return vec4f(c, 1 - c.x, 1);
+//Preview frame
+view.show(game.dice);
+
+//Show the balance and bet, and save the bankroll; tournament bankrolls only last the tournament
+function showBalance() {
+    const player = tournament ? `${tournament.current.name}: ` : "";
+    document.getElementById("balance").textContent = `${player}${game.balance} (bet ${game.stake})`;
+    if (!tournament) {
+        stats.balance = game.balance;
+    }
+}
+showBalance();
+
+function showStats() {
+    const data = stats.data;
+    document.getElementById("hands-played").textContent = data.handsPlayed;
+    document.getElementById("total-wagered").textContent = data.totalWagered;
+    document.getElementById("total-returned").textContent = data.totalReturned;
+    document.getElementById("rtp").textContent = stats.rtp === null ? "-" : (stats.rtp * 100).toFixed(2) + "%";
+    document.getElementById("gambles").textContent = `${data.gamblesWon} of ${data.gambles} won`;
+    document.getElementById("gamble-return").textContent = `${data.totalCollected} of ${data.totalGambled}`;
+    document.getElementById("longest-doubles").textContent = data.longestDoubles;
+
+    const rows = game.paytable.order.map(type => {
+        const count = data.hands[type] ?? 0;
+        const row = document.createElement("tr");
+        for (const text of [game.paytable.hands[type].name, count,
+            data.handsPlayed > 0 ? (count / data.handsPlayed * 100).toFixed(2) + "%" : "-"]) {
+            row.insertCell().textContent = text;
         }
-    `
+        return row;
+    });
+    document.getElementById("hand-counts").replaceChildren(...rows);
+}
+showStats();
+
+document.getElementById("reset-stats").addEventListener("click", function (event) {
+    stats.reset();
+    showStats();
+    event.target.blur(); //so SPACE rolls instead of pressing the button again
 });
 
-// Create the compute shader that will process the simulation.
-const simulationShaderModule = device.createShaderModule({
-    label: "Logic shader",
-    code: `
-        @group(0) @binding(0) var<uniform> grid: vec2f;
+function showOutOfCredits() {
+    document.getElementById("round").textContent = `Out of credits! Press R to rebuy ${game.rebuyAmount}`;
+}
+if (game.state == State.BROKE) showOutOfCredits();
+
+//Provably fair rounds: the commitment for the next round is shown before it can be bet on,
+//and its server seed after the hand is evaluated, see Fairness.js
+let fair = seedParam === null ? new FairRounds(clientSeedParam === null ? {} : { clientSeed: clientSeedParam }) : null;
+let nextRound = null; //committed to and shown, waiting for a bet
+let playedRound = null; //being played, revealed once the hand and any gamble on it are over
+
+function prepareFairRound() {
+    nextRound = null;
+    document.getElementById("commitment").textContent = "...";
+    fair.next(game).then(round => {
+        document.getElementById("commitment").textContent = `round ${round.nonce}, client seed ${round.clientSeed}, SHA-256 ${round.commitment}`;
+        nextRound = round;
+    }, error => {
+        //crypto.subtle is only there in secure contexts, so e.g. a plain http host plays on without fairness
+        fair = null;
+        showSeed(game.seed ?? "none, the rounds so far were provably fair");
+        document.getElementById("commitment").textContent = `unavailable here (${error.message})`;
+        document.getElementById("round").textContent += " Provably fair rounds aren't available here, rolling on without them.";
+        console.error(error);
+    });
+}
 
-        @group(0) @binding(1) var<storage> cellStateIn: array<u32>;
-        @group(0) @binding(2) var<storage, read_write> cellStateOut: array<u32>;
-        @group(0) @binding(3) var<storage> control: array<u32>;
+//A seed only replays the dice while rounds aren't provably fair: those are each rolled from their own seeds
+function showSeed(seed) {
+    document.getElementById("seed").textContent = fair ? "not used while rounds are provably fair, see each round's seeds" : seed;
+}
 
-        fn cellIndex(cell: vec2u) -> u32 {
-            return (cell.y % u32(grid.y)) * u32(grid.x) +
-                    (cell.x % u32(grid.x));
-        }
+function revealFairRound() {
+    if (!playedRound) return;
+    const fairness = playedRound.reveal();
+    playedRound = null;
+    handHistory.amend({ fairness });
+    document.getElementById("revealed").textContent = `round ${fairness.nonce}, server seed ${fairness.serverSeed}`;
+}
+showSeed(game.seed);
+if (fair) {
+    prepareFairRound();
+} else {
+    document.getElementById("commitment").textContent = "off while replaying a seed";
+}
 
-        fn cellPos(cellInd: u32) -> vec2u {
-            return vec2u(cellInd % u32(grid.x), cellInd / u32(grid.x));
-        }
+//Best holds from the advisor, marked on the board until the next roll
+let suggestedHolds = null;
 
-        fn cellActive(x: u32, y: u32) -> u32 {
-            return cellStateIn[cellIndex(vec2(x, y))];
-        }
+function syncControls() {
+    view.sync(game, suggestedHolds);
+}
 
-        @compute @workgroup_size(${WORKGROUP_SIZE_X}, ${WORKGROUP_SIZE_Y})
-        fn computeMain(@builtin(global_invocation_id) cell: vec3u) {
-            // Check if cell above was active
-            let isNext = cellActive(cell.x, (cell.y + 1 + control[cell.x + 1]) % u32(grid.y));
-            let i = cellIndex(cell.xy);
-
-            if (control[0] == 3) & (control[cell.x + 1] == 1) {
-                cellStateOut[i] = cellStateIn[i];
-            } else {
-                switch isNext {
-                    case 1: { // Cell with neighbor above becomes active.
-                        cellStateOut[i] = 1;
-                    }
-                    default: { // Cells are inactive by default
-                        cellStateOut[i] = 0;
-                    }
-                }
-            }
+function describeHolds(holds) {
+    const held = holds.flatMap((isHeld, i) => isHeld ? [i + 1] : []);
+    return held.length > 0 ? "Hold " + held.join(" ") : "Re-roll all";
+}
 
-        }`
-});
+//List the expected payout of every hold choice and mark the best one on the board
+function showAdvice() {
+    const options = holdOptions(game.dice, game.paytable, game.stake, game.rollsLeft, game.faceCount);
+    suggestedHolds = options[0].holds;
+    const items = options.map(({ holds, ev }) => {
+        const item = document.createElement("li");
+        item.textContent = `${describeHolds(holds)}: ${ev.toFixed(2)}`;
+        return item;
+    });
+    document.getElementById("advice-options").replaceChildren(...items);
+    syncControls();
+    renderer.draw(controlArray);
+}
 
-// Create the bind group layout and pipeline layout.
-const bindGroupLayout = device.createBindGroupLayout({
-    label: "Cell Bind Group Layout",
-    entries: [{
-        binding: 0,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
-        buffer: {} // Grid uniform buffer
-    }, {
-        binding: 1,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
-        buffer: { type: "read-only-storage" } // Cell state input buffer
-    }, {
-        binding: 2,
-        visibility: GPUShaderStage.COMPUTE,
-        buffer: { type: "storage" } // Cell state output buffer
-    }, {
-        binding: 3,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
-        buffer: { type: "read-only-storage" } // Control buffer
-    }]
-});
+//Expected payout given up by each of this round's hold choices, as promises: the advisor needs to play out
+//every later roll, which with more rolls to come takes seconds, so it runs in a worker while the dice spin
+const advisorWorker = new Worker(new URL("./AdvisorWorker.js", import.meta.url), { type: "module" });
+const evRequests = new Map();
+let evRequestId = 0;
+let evGivenUp = [];
+advisorWorker.onmessage = function ({ data }) {
+    evRequests.get(data.id)?.(data.given);
+    evRequests.delete(data.id);
+};
+advisorWorker.onerror = function (error) {
+    console.error("The advisor worker failed", error);
+    evRequests.forEach(resolve => resolve(0));
+    evRequests.clear();
+};
 
-const pipelineLayout = device.createPipelineLayout({
-    label: "Cell Pipeline Layout",
-    bindGroupLayouts: [bindGroupLayout],
-});
+function requestEvGivenUp() {
+    const id = ++evRequestId;
+    const { dice, holds, paytable, stake, rollsLeft, faceCount } = game;
+    advisorWorker.postMessage({
+        id, dice: [...dice], holds: [...holds], paytable: { name: paytable.name, hands: paytable.hands }, stake, rollsLeft, faces: faceCount,
+    });
+    return new Promise(resolve => evRequests.set(id, resolve));
+}
+
+function clearAdvice() {
+    suggestedHolds = null;
+    document.getElementById("advice-options").replaceChildren();
+}
 
-//Render pipeline actually controls how the geometry is drawn, e.g. 
-//which shaders to use and how to read buffers
-const cellPipeline = device.createRenderPipeline({
-    label: "Cell pipeline",
-    layout: pipelineLayout,
-    vertex: {
-        module: cellShaderModule,
-        entryPoint: "vertexMain",
-        buffers: [vertexBufferLayout]
-    },
-    fragment: {
-        module: cellShaderModule,
-        entryPoint: "fragmentMain",
-        targets: [{
-            format: canvasFormat
-        }]
+//Play a recorded hand back through the same animation, without touching the balance
+let replaying = false;
+//a gamble's die can still be spinning after the engine has settled the gamble, and nothing else
+//may use the board until it lands
+let gambleSpinning = false;
+async function replayHand(record) {
+    replaying = true;
+    const round = document.getElementById("round");
+    if (record.dealer) {
+        dealerView?.show(record.dealer);
     }
-});
+    for (const [i, roll] of record.rolls.entries()) {
+        controlArray[0] = i * 2 + 1;
+        controlArray.set(roll.holds, 1);
+        round.textContent = `Replay: roll ${i + 1}... `;
+        await view.roll(roll.dice);
+        controlArray[0]++;
+        controlArray.set(roll.holds, 1);
+        renderer.draw(controlArray);
+        await new Promise(resolve => setTimeout(resolve, REPLAY_PAUSE));
+    }
+    round.textContent = `Replay: ${record.handName}! Bet ${record.bet}, paid ${record.payout}`;
+    controlArray.fill(0);
+    renderer.draw(controlArray);
+    replaying = false;
+}
+
+function showHistory() {
+    const options = handHistory.hands.map((record, i) => {
+        const option = document.createElement("option");
+        option.value = i;
+        option.textContent = `#${i + 1} ${record.time}: bet ${record.bet}, ${record.handName}, paid ${record.payout}`;
+        return option;
+    });
+    document.getElementById("history-hands").replaceChildren(...options);
+}
 
-// Create a compute pipeline that updates the game state.
-const simulationPipeline = device.createComputePipeline({
-    label: "Simulation pipeline",
-    layout: pipelineLayout,
-    compute: {
-        module: simulationShaderModule,
-        entryPoint: "computeMain",
+document.getElementById("history-verify").addEventListener("click", async function (event) {
+    event.target.blur();
+    const record = handHistory.hands[document.getElementById("history-hands").value];
+    if (!record) return;
+    const round = document.getElementById("round");
+    if (!record.fairness) {
+        round.textContent = "That hand has no revealed seeds to verify";
+        return;
     }
+    let problems;
+    try {
+        ({ problems } = await verifyHand(record));
+    } catch (error) {
+        round.textContent = `Can't verify here: ${error.message}`;
+        return;
+    }
+    round.textContent = problems.length == 0
+        ? `Verified: round ${record.fairness.nonce} matches its commitment and its dice`
+        : `Verification FAILED: ${problems.join("; ")}`;
 });
 
-const bindGroups = [
-    device.createBindGroup({
-        label: "Cell renderer bind group A",
-        layout: bindGroupLayout,
-        entries: [{
-            binding: 0,
-            resource: { buffer: uniformBuffer }
-        }, {
-            binding: 1,
-            resource: { buffer: cellStateStorage[0] }
-        }, {
-            binding: 2,
-            resource: { buffer: cellStateStorage[1] }
-        }, {
-            binding: 3,
-            resource: { buffer: controlStorage }
-        }],
-    }),
-    device.createBindGroup({
-        label: "Cell renderer bind group B",
-        layout: bindGroupLayout,
-        entries: [{
-            binding: 0,
-            resource: { buffer: uniformBuffer }
-        }, {
-            binding: 1,
-            resource: { buffer: cellStateStorage[1] }
-        }, {
-            binding: 2,
-            resource: { buffer: cellStateStorage[0] }
-        }, {
-            binding: 3,
-            resource: { buffer: controlStorage }
-        }],
-    })
-];
-
-//#region Dice Pipeline
-const DICE_GRID_SIZE_X = 25;
-const DICE_GRID_SIZE_Y = 30;
-
-// Create a uniform buffer that describes the grid; similar to vertex buffer
-const diceUniformArray = new Float32Array([DICE_GRID_SIZE_X, DICE_GRID_SIZE_Y]);
-const diceUniformBuffer = device.createBuffer({
-    label: "Dice grid uniforms",
-    size: diceUniformArray.byteLength,
-    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+document.getElementById("history-export").addEventListener("click", function (event) {
+    const blob = new Blob([JSON.stringify(handHistory, null, 2)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `dice-poker-history-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    event.target.blur();
+});
+
+document.getElementById("history-import").addEventListener("change", async function (event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+        const imported = handHistory.import(await file.text());
+        document.getElementById("round").textContent = `Imported ${imported.length} hands`;
+    } catch (error) {
+        document.getElementById("round").textContent = `Import failed: ${error.message}`;
+    }
+    event.target.value = "";
+    event.target.blur();
+    showHistory();
 });
-device.queue.writeBuffer(diceUniformBuffer, 0, diceUniformArray);
-
-// Create an array representing the active state of each die.
-const diceStateArray = new Uint32Array([
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0,
-    0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0,
-    0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0,
-    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0
-]);
-
-// Create two storage buffers to hold the dice state.
-const diceStateStorage =
-    device.createBuffer({
-        label: "Dice state",
-        size: diceStateArray.byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-    });
 
-// Randomly enable dice for testing
-// for (let i = 0; i < diceStateArray.length; ++i) {
-//     diceStateArray[i] = Math.random() < 0.6 ? 0 : 1;
-// }
-device.queue.writeBuffer(diceStateStorage, 0, diceStateArray);
-
-const diceBindGroupLayout = device.createBindGroupLayout({
-    label: "Dice Bind Group Layout",
-    entries: [{
-        binding: 0,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
-        buffer: {} // Grid uniform buffer
-    }, {
-        binding: 1,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
-        buffer: { type: "read-only-storage" } // Dice state input buffer
-    }]
+document.getElementById("history-replay").addEventListener("click", function (event) {
+    event.target.blur();
+    const record = handHistory.hands[document.getElementById("history-hands").value];
+    //only between rounds, so the game's own roll isn't interrupted
+    if (!record || replaying || gambleSpinning || !(game.can("bet") || game.state == State.BROKE)) return;
+    //hands played with other dice don't fit on this board
+    if (record.rolls[0].dice.length != game.diceCount || (record.faces ?? FACE_COUNT) != game.faceCount) {
+        document.getElementById("round").textContent = "That hand was played with other dice and can't be replayed here";
+        return;
+    }
+    replayHand(record);
 });
 
-const diceBindGroup =
-    device.createBindGroup({
-        label: "Dice renderer bind group",
-        layout: diceBindGroupLayout,
-        entries: [{
-            binding: 0,
-            resource: { buffer: diceUniformBuffer }
-        }, {
-            binding: 1,
-            resource: { buffer: diceStateStorage }
-        }],
+//Follow a game through its events, so the page shows the same thing however the game is driven
+function follow(game) {
+    game.spin = dice => view.roll(dice).then(landed => {
+        if (landed.join() != dice.join()) {
+            console.warn("Board landed on", landed, "but the game rolled", dice);
+        }
     });
+    game.addEventListener(GameEvent.ROLL_START, onRollStart);
+    game.addEventListener(GameEvent.ROLL_END, onRollEnd);
+    game.addEventListener(GameEvent.HOLD_CHANGE, onHoldChange);
+    game.addEventListener(GameEvent.HAND_EVALUATED, onHandEvaluated);
+    game.addEventListener(GameEvent.BALANCE_CHANGE, showBalance);
+    game.addEventListener(GameEvent.GAMBLE_END, onGambleEnd);
+}
 
-const dicePipelineLayout = device.createPipelineLayout({
-    label: "Dice Pipeline Layout",
-    bindGroupLayouts: [diceBindGroupLayout],
-});
+function onRollStart(event) {
+    if (event.detail.roll == 1) {
+        handHistory.begin(game);
+    }
+    syncControls(); //odd - running a roll
+    document.getElementById("round").textContent = "Rolling... ";
+}
 
+function onRollEnd(event) {
+    handHistory.roll(event.detail.holds, event.detail.dice);
+    syncControls(); //even - finished a roll
+    if (game.state == State.HOLDING) {
+        document.getElementById("round").textContent = `Roll ${game.rollsDone} of ${game.rollsPerRound} - choose your holds!`;
+        announce(describeRoll(game));
+    }
+}
 
-const diceShaderModule = device.createShaderModule({
-    label: "Dice shader",
-    code: `
-        struct VertexInput {
-            @location(0) pos: vec2f,
-            @builtin(instance_index) instance: u32,
-        };
+function onHoldChange(event) {
+    sound.hold(event.detail.held);
+    announce(describeHeldDice(game.dice, game.holds));
+    syncControls();
+    renderer.draw(controlArray);
+}
 
-        struct VertexOutput {
-            @builtin(position) pos: vec4f,
-            @location(0) dice: vec2f,
-        };
+function onHandEvaluated() {
+    announce(`${describeRoll(game)} ${describeResult(game)}`);
+    //a duel is won or not, so any win gets at least the smallest fanfare
+    if (game.mode == Mode.DUEL) {
+        sound.win(game.outcome == Outcome.WIN ? Math.max(1, winTier(game.paytable, game.hand)) : 0);
+    } else {
+        sound.win(winTier(game.paytable, game.hand));
+    }
+    handHistory.finish(game);
+    //a win that may still be gambled keeps its seed secret until the gamble or the next bet
+    if (tournament || !game.can("gamble")) {
+        revealFairRound();
+    }
+    stats.recordHand(game);
+    showStats();
+    showHistory();
+    document.getElementById("round").textContent = game.mode == Mode.DUEL ? describeDuel(game) + "! " : game.handName + "! ";
+    //shown once the worker is done, unless the next round has started by then
+    const requests = evGivenUp;
+    Promise.all(requests).then(given => {
+        const evLeft = given.reduce((sum, ev) => sum + ev, 0);
+        if (requests == evGivenUp && evLeft > 0.005) {
+            document.getElementById("ev-left").textContent = `You left ${evLeft.toFixed(2)} credits of EV on the table.`;
+        }
+    });
+    view.mark(game.evaluation.scoringDice);
+    dealerView?.mark(game.dealerEvaluation.scoringDice);
+    if (tournament) {
+        endTurn();
+    } else {
+        if (game.can("gamble")) {
+            document.getElementById("round").textContent += `Press G to gamble ${game.payout} double or nothing. `;
+        }
+        if (game.state == State.BROKE) {
+            document.getElementById("round").textContent += "Out of credits! Press R to rebuy " + game.rebuyAmount;
+        }
+    }
+}
 
-        @group(0) @binding(0) var<uniform> grid: vec2f;
-        @group(0) @binding(1) var<storage> diceState: array<u32>;
+//Double or nothing on a single die, spun in the middle of the board
 
-        @vertex
-        fn vertexMain(input: VertexInput) -> VertexOutput {
-            let i = f32(input.instance); // Save the instance_index as a float
-            let dice = vec2f(i % grid.x, floor(i / grid.x)); // dice coordinates from bottom left
-            let state = f32(diceState[input.instance]);
+function describeGuesses() {
+    const low = Math.floor(game.faceCount / 2);
+    const high = Math.ceil(game.faceCount / 2) + 1;
+    return `LEFT for low (1-${low}), RIGHT for high (${high}-${game.faceCount}), C to collect`;
+}
 
-            let diceOffset = dice / grid * 2; //Canvas is actually 2x2, -1..+1
-            let gridPos = (input.pos * state + 1) / grid - 1 + diceOffset;
+function startGamble() {
+    game.startGamble();
+    clearAdvice();
+    document.getElementById("round").textContent = `Gambling ${game.gamble.winnings}: ${describeGuesses()}`;
+}
 
-            var output: VertexOutput;
-            output.pos = vec4f(gridPos, 0, 1);
-            output.dice = dice;
-            return output;
+function guess(choice) {
+    const { die, won } = game.guess(choice);
+    gambleSpinning = true;
+    document.getElementById("round").textContent = `${choice == Guess.LOW ? "Low" : "High"}... `;
+    view.rollSingle(die).then(() => {
+        gambleSpinning = false;
+        const { winnings, doubles } = game.gamble;
+        const round = document.getElementById("round");
+        if (!won) {
+            round.textContent = `The die shows ${die}, you lost the gamble!`;
+        } else if (game.state == State.GAMBLING) {
+            round.textContent = `The die shows ${die}, ${winnings} at stake after ${doubles} of ${game.maxDoubles} doubles: ${describeGuesses()}`;
+        } else {
+            round.textContent = `The die shows ${die}, ${winnings} collected after the most doubles allowed!`;
         }
-        
-        @fragment
-        fn fragmentMain() -> @location(0) vec4f {
-            return vec4f(0, 0, 0.4, 1);
+        if (game.state == State.BROKE) {
+            round.textContent += " Out of credits! Press R to rebuy " + game.rebuyAmount;
         }
-    `
-});
+        announce(round.textContent);
+    });
+}
 
-const dicePipeline = device.createRenderPipeline({
-    label: "Dice pipeline",
-    layout: dicePipelineLayout,
-    vertex: {
-        module: diceShaderModule,
-        entryPoint: "vertexMain",
-        buffers: [vertexBufferLayout]
-    },
-    fragment: {
-        module: diceShaderModule,
-        entryPoint: "fragmentMain",
-        targets: [{
-            format: canvasFormat
-        }]
-    }
-});
-//#endregion
-
-let step = 0; // Track how many simulation steps have been run
-let countdown = 200;
-function updateGrid() {
-    device.queue.writeBuffer(controlStorage, 0, controlArray);
-    const encoder = device.createCommandEncoder();
-
-    const computePass = encoder.beginComputePass();
-    computePass.setPipeline(simulationPipeline);
-    computePass.setBindGroup(0, bindGroups[step % 2]);
-    const workgroupCount = Math.ceil(GRID_SIZE_X * GRID_SIZE_Y / (WORKGROUP_SIZE_X * WORKGROUP_SIZE_Y));
-    computePass.dispatchWorkgroups(workgroupCount, workgroupCount);
-    computePass.end();
-
-    step++; // Increment the step count
-
-    //Prepares a command for GPU: gets current canvas texture,
-    //creates a view based on those dimensions,
-    //sets clear on load and saves drawing results into the texture
-    //at the end of render pass
-    const pass = encoder.beginRenderPass({
-        colorAttachments: [{
-            view: context.getCurrentTexture().createView(),
-            loadOp: "clear",
-            clearValue: { r: 0, g: 0, b: 0.4, a: 1 }, //changes frame color
-            storeOp: "store",
-        }]
+function onGambleEnd() {
+    handHistory.gamble(game);
+    revealFairRound();
+    stats.recordGamble(game.gamble);
+    showStats();
+    showHistory();
+}
+
+follow(game);
+
+//Tournament players take turns on the board, one hand each; SPACE hands the board to the next player
+function showScoreboard() {
+    const rows = (tournament?.standings ?? []).map((player, i) => {
+        const row = document.createElement("tr");
+        const status = player.outInRound !== null ? `Out in round ${player.outInRound}`
+            : player == tournament.current && !tournament.finished ? "To play" : "Playing";
+        for (const text of [i + 1, player.name, player.game.balance, status]) {
+            row.insertCell().textContent = text;
+        }
+        return row;
     });
-    pass.setPipeline(cellPipeline);
-    pass.setVertexBuffer(0, vertexBuffer);
-    pass.setBindGroup(0, bindGroups[step % 2]);
-    pass.draw(vertices.length / 2, GRID_SIZE_X * GRID_SIZE_Y); // 6 vertices
-    pass.setPipeline(dicePipeline);
-    pass.setVertexBuffer(0, vertexBuffer);
-    pass.setBindGroup(0, diceBindGroup);
-    pass.draw(vertices.length / 2, DICE_GRID_SIZE_X * DICE_GRID_SIZE_Y); // 6 vertices
-    pass.end();
+    document.getElementById("scoreboard").replaceChildren(...rows);
+    document.getElementById("tournament-round").textContent = !tournament ? ""
+        : tournament.finished ? "Finished"
+        : `Round ${tournament.round}` + (tournament.rounds == Infinity ? "" : ` of ${tournament.rounds}`);
+}
 
-    encoder.copyBufferToBuffer(cellStateStorage[step % 2], 0, cellStateReadStorage, 0, cellStateArray.byteLength);
-    //Buffers are single-use, makes more sense to do in one-liner:
-    device.queue.submit([encoder.finish()]);
+function startTurn() {
+    game = tournament.current.game;
+    clearAdvice();
+    controlArray.fill(0);
+    view.show(game.dice);
+    dealerView?.clear();
+    showBalance();
+    showScoreboard();
+    document.getElementById("round").textContent = `${tournament.current.name}'s turn - press SPACE to roll`;
 }
 
-//Preview frame
-updateGrid();
-
-//Process user input
-document.addEventListener('keydown', function (event) {
-    switch (event.key) {
-        case " ":
-            //bet 10 if we are in a new round
-            if (controlArray[0] == 0) {
-                balance -= 10;
-            }
-            document.getElementById("balance").textContent = balance;
+function endTurn() {
+    const player = tournament.current;
+    const round = document.getElementById("round");
+    if (game.state == State.BROKE) {
+        round.textContent += `${player.name} is out! `;
+    }
+    const next = tournament.endTurn();
+    if (next) {
+        round.textContent += `Next up: ${next.name}, press SPACE`;
+    } else {
+        round.textContent += `Tournament over! ${tournament.winners.map(winner => winner.name).join(" and ")} won`;
+    }
+    showScoreboard();
+}
 
-            if (controlArray[0] % 2 == 1) break; //Ignore spacebar if already running
+document.getElementById("tournament-start").addEventListener("click", function (event) {
+    event.target.blur();
+    if (replaying || gambleSpinning || !(game.can("bet") || game.state == State.BROKE)) return; //only between rounds
+    const format = document.getElementById("tournament-format").value;
+    const rounds = document.getElementById("tournament-rounds").value;
+    try {
+        tournament = new Tournament({
+            ...tableOptions,
+            players: document.getElementById("tournament-players").value.split(","),
+            format,
+            ...(rounds == "" ? {} : { rounds: Number(rounds) }),
+            balance: Number(document.getElementById("tournament-balance").value),
+            rng: createRng(seedParam === null ? undefined : Number(seedParam)),
+        });
+    } catch (error) {
+        document.getElementById("round").textContent = `Can't start the tournament: ${error.message}`;
+        return;
+    }
+    tournament.players.forEach(player => follow(player.game));
+    showSeed(tournament.seed);
+    startTurn();
+});
 
-            controlArray[0] += 1; //1 or 3 - running the first/second roll
-            document.getElementById("round").textContent = "Rolling... ";
+document.getElementById("tournament-end").addEventListener("click", function (event) {
+    event.target.blur();
+    if (!tournament || replaying || gambleSpinning || !(game.can("bet") || game.state == State.BROKE)) return;
+    tournament = null;
+    game = soloGame;
+    controlArray.fill(0);
+    view.show(game.dice);
+    dealerView?.clear();
+    showBalance();
+    showScoreboard();
+    showSeed(game.seed);
+    document.getElementById("round").textContent = "";
+});
 
-            //ugly workaround to feed some randomness into second roll
-            if (controlArray[0] == 3) {
-                for (let i = 1; i < controlArray.length; ++i) {
-                    if (controlArray[i] == 0) {
-                        controlArray[i] = Math.floor(Math.random() * 3) + 2; 
-                    }
-                }
+//Process user input from the keyboard, canvas, on-screen buttons and gamepads alike
+function handleAction(action) {
+    switch (action.type) {
+        case Action.ROLL:
+            if (replaying || gambleSpinning) break;
+            //hand the board over to the next tournament player first
+            if (tournament && (tournament.finished || game != tournament.current.game)) {
+                if (!tournament.finished) startTurn();
+                break;
             }
-            console.log(controlArray);
-            // Schedule updateGrid() to run repeatedly
-            const mainLoop = setInterval(updateGrid, UPDATE_INTERVAL)
-            setTimeout(() => {
-                clearInterval(mainLoop);
-                controlArray[0] += 1; //2 or 4 - finished 1st/2nd roll
-
-                if (controlArray[0] == 2) {
-                    document.getElementById("round").textContent = "First roll - choose your holds!";
+            if (game.state == State.BROKE) {
+                showOutOfCredits();
+                break;
+            }
+            //bet if we are in a new round, once its fairness commitment is out
+            if (game.can("bet")) {
+                if (fair && !nextRound) break;
+                revealFairRound(); //a win that wasn't gambled
+                if (fair) {
+                    game.rng = nextRound.rng;
+                    playedRound = nextRound;
+                    prepareFairRound();
+                } else if (game.rng.seed === null) {
+                    game.rng = createRng(); //the last fair round's draws are spent, and fairness has failed since
+                    showSeed(game.seed);
+                }
+                game.bet();
+                sound.bet();
+                if (dealerView) {
+                    dealerView.control.fill(0);
+                    dealerView.roll(game.dealerDice);
                 }
-                else if (controlArray[0] >= 4) {
-                    getCellState().then(result => {
-                        let winnings = evaluateHand(calculateHand(result));
-                        balance += winnings;
-                        document.getElementById("balance").textContent = balance;
-                        document.getElementById("round").textContent = HandValues[winnings] + "! ";
-                        controlArray.fill(0);
-                        cellStateArray.fill(0);
-                        for (let i = 0; i < GRID_SIZE_X; ++i) {
-                            cellStateArray[Math.floor(Math.random() * GRID_SIZE_Y) * GRID_SIZE_X + i] = 1;
-                        }
-                        device.queue.writeBuffer(cellStateStorage[0], 0, cellStateArray);
-                        device.queue.writeBuffer(cellStateStorage[1], 0, cellStateArray);
-                    });
-
-                };
-
-
-            }, TIMEOUT_INTERVAL);
+            }
+
+            if (!game.can("roll")) break; //Ignore spacebar if already running
+
+            //how much expected payout the chosen holds give up against the best ones, over the whole round;
+            //the advisor plays for the paytable, so not in a duel
+            if (game.state == State.READY) {
+                evGivenUp = [];
+                document.getElementById("ev-left").textContent = "";
+            } else if (game.state == State.HOLDING && game.mode != Mode.DUEL) {
+                evGivenUp.push(requestEvGivenUp());
+            }
+            clearAdvice();
 
+            //the game's events update the page as the roll goes on
+            game.play().catch(error => {
+                document.getElementById("round").textContent = `The roll failed: ${error.message}`;
+                console.error(error);
+            });
             break;
         //hold dice
-        case "1":
-        case "2":
-        case "3":
-        case "4":
-        case "5":
-            if (controlArray[0] == 2) //allow holding only after first roll
+        case Action.HOLD:
+            if (game.can("toggleHold")) //allow holding only between rolls
             {
-                controlArray[event.key] = (controlArray[event.key] + 1) % 2;
-                updateVisualsOnly();
+                game.toggleHold(action.die);
+            }
+            break;
+        //show which die the gamepad cursor is on
+        case Action.SELECT:
+            if (!replaying) {
+                document.getElementById("round").textContent = `Die ${action.die + 1} selected`;
+            }
+            break;
+        //show the expected payout of each hold choice
+        case Action.HINT:
+            if (game.state == State.HOLDING && game.mode == Mode.DUEL) {
+                document.getElementById("round").textContent = "No hints against the dealer: beat their hand!";
+            } else if (game.state == State.HOLDING) {
+                showAdvice();
+            }
+            break;
+        //change the bet between rounds
+        case Action.RAISE_BET:
+            if (game.can("changeBet")) {
+                game.raiseBet();
+                showBalance();
+            }
+            break;
+        case Action.LOWER_BET:
+            if (game.can("changeBet")) {
+                game.lowerBet();
+                showBalance();
+            }
+            break;
+        case Action.MAX_BET:
+            if (game.can("changeBet")) {
+                game.maxBet();
+                showBalance();
+            }
+            break;
+        //double or nothing after a win, not in tournaments where the turn is already over
+        case Action.GAMBLE:
+            if (game.can("gamble") && !tournament && !replaying) {
+                startGamble();
+            }
+            break;
+        case Action.GUESS_LOW:
+        case Action.GUESS_HIGH:
+            if (game.can("guess") && !gambleSpinning) {
+                guess(action.type == Action.GUESS_LOW ? Guess.LOW : Guess.HIGH);
+            }
+            break;
+        case Action.COLLECT:
+            if (game.can("collect") && !gambleSpinning) {
+                game.collect();
+                document.getElementById("round").textContent = `Collected ${game.gamble.winnings}`;
+            }
+            break;
+        case Action.REBUY:
+            if (game.can("rebuy") && !tournament && !gambleSpinning) { //a bust tournament player is out
+                game.rebuy();
+                stats.recordRebuy();
+                document.getElementById("round").textContent = "";
             }
             break;
     }
-});
-
-
-async function getCellState() {
-    await cellStateReadStorage.mapAsync(
-        GPUMapMode.READ,
-        0,
-        cellStateArray.byteLength
-    );
-    const copyArrayBuffer = cellStateReadStorage.getMappedRange(0, cellStateArray.byteLength);
-    const data = copyArrayBuffer.slice();
-    cellStateReadStorage.unmap();
-    return data;
 }
 
-function calculateHand(cellStates) {
-    const cells = new Uint32Array(cellStates);
-    const hand = Array(5);
-    for (let i = 0; i < cells.length; i++) {
-        if (cells[i] == 1) {
-            hand[i % GRID_SIZE_X] = Math.floor(i / GRID_SIZE_X) + 1;
+attachInput({ canvas, board, controls: document.getElementById("controls"), onAction: handleAction });
 
-        };
-    };
-    return hand;
+if (paramNotices.length > 0) {
+    document.getElementById("round").textContent = paramNotices.join(" ");
 }
 
-function evaluateHand(hand) {
-    const counts = Array(6).fill(0);
-    for (let i = 0; i < hand.length; i++) {
-        counts[hand[i] - 1]++;
-    }
-    if (counts.includes(5)) {
-        return 60;
-    }
-    if (counts.includes(4)) {
-        return 50;
-    }
-    if (counts.includes(3) && counts.includes(2)) {
-        return 40;
-    }
-    if ((counts.filter(x => x == 1).length == 5) && (counts[0] == 0)) {
-        return 35;
-    }
-    if ((counts.filter(x => x == 1).length == 5) && (counts[5] == 0)) {
-        return 30;
-    }
-    if (counts.includes(3)) {
-        return 20;
-    }
-    if (counts.filter(x => x == 2).length == 2) {
-        return 15;
-    }
-    if (counts.includes(2)) {
-        return 10;
-    }
-    return 0;
-}
-
-function updateVisualsOnly() {
-    device.queue.writeBuffer(controlStorage, 0, controlArray);
-    const encoder = device.createCommandEncoder();
-
-    const pass = encoder.beginRenderPass({
-        colorAttachments: [{
-            view: context.getCurrentTexture().createView(),
-            loadOp: "clear",
-            clearValue: { r: 0, g: 0, b: 0.4, a: 1 }, //changes frame color
-            storeOp: "store",
-        }]
-    });
-    pass.setPipeline(cellPipeline);
-    pass.setVertexBuffer(0, vertexBuffer);
-    pass.setBindGroup(0, bindGroups[step % 2]);
-    pass.draw(vertices.length / 2, GRID_SIZE_X * GRID_SIZE_Y); // 6 vertices
-    pass.setPipeline(dicePipeline);
-    pass.setVertexBuffer(0, vertexBuffer);
-    pass.setBindGroup(0, diceBindGroup);
-    pass.draw(vertices.length / 2, DICE_GRID_SIZE_X * DICE_GRID_SIZE_Y); // 6 vertices
-    pass.end();
-
-    encoder.copyBufferToBuffer(cellStateStorage[step % 2], 0, cellStateReadStorage, 0, cellStateArray.byteLength);
-    //Buffers are single-use, makes more sense to do in one-liner:
-    device.queue.submit([encoder.finish()]);
-}
+//Dashboards and test harnesses on the same page can import the game to follow and drive it
+export { game };
@@ -0,0 +1,93 @@
+//Paytables map hand types to a display name, a payout multiplier of the bet and a rank.
+//Hands are checked from the highest rank down, so a paytable can leave hands out or add
+//consolation hands without touching the evaluator. Operators can load their own from JSON.
+
+//Every hand type the evaluator knows how to recognise
+export const Hand = Object.freeze({
+    NOTHING: "nothing",
+    NOTHING_BUT_A_SIX: "nothingButASix",
+    PAIR: "pair",
+    TWO_PAIRS: "twoPairs",
+    THREE_OF_A_KIND: "threeOfAKind",
+    FIVE_HIGH_STRAIGHT: "fiveHighStraight",
+    SIX_HIGH_STRAIGHT: "sixHighStraight",
+    FULL_HOUSE: "fullHouse",
+    FOUR_OF_A_KIND: "fourOfAKind",
+    FIVE_OF_A_KIND: "fiveOfAKind",
+});
+
+const classicHands = {
+    [Hand.NOTHING]: { name: "Nothing", pays: 0, rank: 0 },
+    [Hand.PAIR]: { name: "Pair", pays: 1, rank: 1 },
+    [Hand.TWO_PAIRS]: { name: "Two pairs", pays: 1.5, rank: 2 },
+    [Hand.THREE_OF_A_KIND]: { name: "Three of a kind", pays: 2, rank: 3 },
+    [Hand.FIVE_HIGH_STRAIGHT]: { name: "Five-high straight", pays: 3, rank: 4 },
+    [Hand.SIX_HIGH_STRAIGHT]: { name: "Six-high straight", pays: 3.5, rank: 5 },
+    [Hand.FULL_HOUSE]: { name: "Full house", pays: 4, rank: 6 },
+    [Hand.FOUR_OF_A_KIND]: { name: "Four of a kind", pays: 5, rank: 7 },
+    [Hand.FIVE_OF_A_KIND]: { name: "Five of a kind", pays: 6, rank: 8 },
+};
+
+export const Paytables = {
+    //The original payouts: 10 for a pair up to 60 for five of a kind on a 10 credit bet
+    classic: parsePaytable({
+        name: "Classic",
+        hands: classicHands,
+    }),
+    //Six-high straight pays more than a full house
+    bigStraight: parsePaytable({
+        name: "Big straight",
+        hands: {
+            ...classicHands,
+            [Hand.SIX_HIGH_STRAIGHT]: { name: "Six-high straight", pays: 4.5, rank: 5 },
+        },
+    }),
+    //Half the bet back for a hand that has nothing but a 6 in it
+    consolation: parsePaytable({
+        name: "Six consolation",
+        hands: {
+            ...classicHands,
+            [Hand.NOTHING_BUT_A_SIX]: { name: "Nothing but a 6", pays: 0.5, rank: 0.5 },
+        },
+    }),
+};
+
+//Credits a hand pays on a bet, rounded down to whole credits
+export function payoutFor(paytable, hand, stake) {
+    return Math.floor(paytable.hands[hand].pays * stake);
+}
+
+//Validates a paytable given as a JSON string or plain object and returns a frozen copy.
+//A "nothing" entry paying 0 is added when the paytable doesn't define one.
+export function parsePaytable(json) {
+    const data = typeof json == "string" ? JSON.parse(json) : json;
+    if (!data || typeof data.hands != "object") {
+        throw new Error("Paytable needs a hands object");
+    }
+    const known = Object.values(Hand);
+    const hands = {};
+    for (const [type, entry] of Object.entries(data.hands)) {
+        if (!known.includes(type)) {
+            throw new Error(`Paytable has unknown hand type "${type}"`);
+        }
+        if (typeof entry?.name != "string" || !(Number.isFinite(entry.pays) && entry.pays >= 0) || !Number.isFinite(entry.rank)) {
+            throw new Error(`Paytable entry "${type}" needs a name, a pays multiplier >= 0 and a numeric rank`);
+        }
+        //hands are told apart by rank, in the evaluator and between duel hands
+        const same = Object.keys(hands).find(other => hands[other].rank == entry.rank);
+        if (same) {
+            throw new Error(`Paytable entries "${same}" and "${type}" have the same rank ${entry.rank}`);
+        }
+        hands[type] = Object.freeze({ name: entry.name, pays: entry.pays, rank: entry.rank });
+    }
+    const lowest = Math.min(0, ...Object.values(hands).map(entry => entry.rank));
+    hands[Hand.NOTHING] ??= Object.freeze({ name: "Nothing", pays: 0, rank: lowest - 1 });
+
+    //hand types from best to worst, the order the evaluator tries them in
+    const order = Object.keys(hands).sort((a, b) => hands[b].rank - hands[a].rank);
+    return Object.freeze({
+        name: String(data.name ?? "Custom"),
+        hands: Object.freeze(hands),
+        order: Object.freeze(order),
+    });
+}
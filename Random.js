@@ -0,0 +1,26 @@
+//Seedable pseudo-random number generator (mulberry32).
+//Every roll goes through one of these, so a seed is enough to replay a whole session.
+
+export function randomSeed() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+export function createRng(seed = randomSeed()) {
+    let state = seed >>> 0;
+
+    //Float in [0, 1)
+    function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    //Integer in [0, max)
+    function int(max) {
+        return Math.floor(next() * max);
+    }
+
+    return { seed: seed >>> 0, next, int };
+}
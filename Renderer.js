@@ -0,0 +1,23 @@
+//Picks the renderer for a canvas and a board from createBoard(): WebGPU where the browser supports it, Canvas 2D otherwise.
+//Both draw the board from the same control array and expose the same methods:
+//  setCells(cells)    replace the cell state, e.g. to place the dice before a roll
+//  step(control)      advance the simulation by one step and draw it
+//  advance(control)   advance the simulation by one step without drawing
+//  draw(control)      redraw without advancing, e.g. after a hold changes
+//  readCells()        resolves to the current cell state as a Uint32Array
+//  setTheme(theme)    color the board with a theme from Theme.js from the next draw on
+import { createWebGpuRenderer } from "./WebGpuRenderer.js";
+import { createCanvasRenderer } from "./CanvasRenderer.js";
+import { Themes } from "./Theme.js";
+
+export async function createRenderer(canvas, board, theme = Themes.classic) {
+    try {
+        const renderer = await createWebGpuRenderer(canvas, board, theme);
+        if (renderer) {
+            return renderer;
+        }
+    } catch (error) {
+        console.warn("WebGPU setup failed, falling back to Canvas 2D", error);
+    }
+    return createCanvasRenderer(canvas, board, theme);
+}
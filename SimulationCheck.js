@@ -0,0 +1,94 @@
+//Checks for the roll simulation step, so shader edits can't quietly break the one-die-per-column rule.
+//The same cases run against the CPU reference (stepCells), against a live renderer such as the
+//WebGPU compute shader, or against a trace of steps recorded from one.
+//The board size is read off the arrays, one control per column after the phase,
+//so traces recorded from any board can be checked without knowing how it was set up.
+import { createBoard, stepCells } from "./Board.js";
+
+function activeRows(cells, x, sizeX) {
+    const rows = [];
+    for (let y = 0; y < cells.length / sizeX; ++y) {
+        if (cells[y * sizeX + x] == 1) {
+            rows.push(y);
+        }
+    }
+    return rows;
+}
+
+//Problems with a single step as readable messages; an empty list means the step is fine.
+//Assumes `before` is a valid board, i.e. exactly one active cell per column.
+export function checkStep(before, control, after) {
+    const problems = [];
+    const sizeX = control.length - 1;
+    const sizeY = before.length / sizeX;
+    for (let x = 0; x < sizeX; ++x) {
+        const rows = activeRows(after, x, sizeX);
+        if (rows.length != 1) {
+            problems.push(`column ${x} has ${rows.length} active cells`);
+            continue;
+        }
+        const from = activeRows(before, x, sizeX)[0];
+        const held = control[0] > 1 && control[x + 1] == 1;
+        //moving down by 1 + control[x + 1] rows, wrapping around past the bottom row
+        const expected = held ? from : ((from - 1 - control[x + 1]) % sizeY + sizeY) % sizeY;
+        if (rows[0] != expected) {
+            problems.push(held
+                ? `held column ${x} moved from row ${from} to ${rows[0]}`
+                : `column ${x} moved from row ${from} to ${rows[0]}, expected ${expected}`);
+        }
+    }
+    return problems;
+}
+
+//First roll and re-rolls, every start row and every control value from 0 (first roll) over 1 (held) to 4 (fastest spin).
+//Columns are offset against each other so each step mixes held, spinning and wrapping columns.
+export function* stepCases(board = createBoard()) {
+    for (const phase of [1, 3, 5]) {
+        for (let row = 0; row < board.sizeY; ++row) {
+            for (let speed = 0; speed <= 4; ++speed) {
+                const before = new Uint32Array(board.sizeX * board.sizeY);
+                const control = new Uint32Array(board.sizeX + 1);
+                control[0] = phase;
+                for (let x = 0; x < board.sizeX; ++x) {
+                    before[((row + x) % board.sizeY) * board.sizeX + x] = 1;
+                    control[x + 1] = (speed + x) % 5;
+                }
+                yield { before, control };
+            }
+        }
+    }
+}
+
+//Runs every case for the board through step(before, control), which may return a promise,
+//and resolves to the failing steps with their problems
+export async function runStepChecks(board = createBoard(), step = (before, control) => stepCells(board, before, control)) {
+    const trace = [];
+    for (const { before, control } of stepCases(board)) {
+        trace.push({ before, control, after: await step(before, control) });
+    }
+    return checkTrace(trace);
+}
+
+//Checks a list of recorded { before, control, after } steps, e.g. from recordStepTrace() or a JSON file
+export function checkTrace(trace) {
+    const failures = [];
+    for (const { before, control, after } of trace) {
+        const problems = checkStep(before, control, after);
+        if (problems.length > 0) {
+            failures.push({ before: [...before], control: [...control], after: [...after], problems });
+        }
+    }
+    return failures;
+}
+
+//Steps a renderer through every case and records what it produced, for checkTrace or for saving as JSON
+export async function recordStepTrace(renderer, board) {
+    const trace = [];
+    for (const { before, control } of stepCases(board)) {
+        renderer.setCells(before);
+        renderer.step(control);
+        const after = await renderer.readCells();
+        trace.push({ before: [...before], control: [...control], after: [...after] });
+    }
+    return trace;
+}
@@ -0,0 +1,175 @@
+//Sound effects synthesized with Web Audio, so there's nothing to download: every sound is a few
+//oscillator notes with short volume envelopes, scheduled on the audio clock.
+//The volume and mute setting are saved like the statistics. Browsers only let audio start after
+//a click or key press, so the AudioContext is made on the first sound, which follows one.
+//Pass an OfflineAudioContext to render the sounds without a page, e.g. to check them in tests.
+
+const STORAGE_KEY = "video-dice-poker/sound";
+const TICK_GAP = 0.03; //s; the simulation steps faster than ticks can be told apart, so closer ones are dropped
+const SILENT = 0.0001; //exponential ramps can't reach 0
+
+//Semitones of the notes a win fanfare climbs through, a major arpeggio
+const FANFARE_STEPS = [0, 4, 7, 12, 16, 19, 24, 28, 31];
+
+//How big a win is: 0 for a hand that pays nothing, 1 for the lowest paying hand of the paytable and so on up
+export function winTier(paytable, hand) {
+    const pays = paytable.hands[hand].pays;
+    if (pays <= 0) {
+        return 0;
+    }
+    return 1 + paytable.order.filter(type => {
+        const entry = paytable.hands[type];
+        return entry.pays > 0 && entry.rank < paytable.hands[hand].rank;
+    }).length;
+}
+
+export class SoundEffects {
+    #context;
+    #output = null;
+    #lastTick = -Infinity;
+
+    //context defaults to a new AudioContext on the first sound
+    constructor({ context = null, storage = globalThis.localStorage } = {}) {
+        this.#context = context;
+        this.storage = storage;
+        const saved = this.#load();
+        this.settings = {
+            volume: Number.isFinite(saved.volume) ? Math.min(1, Math.max(0, saved.volume)) : 0.5,
+            muted: saved.muted === true,
+        };
+    }
+
+    #load() {
+        try {
+            const saved = this.storage?.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn("Could not load the sound settings", error);
+            return {};
+        }
+    }
+
+    #save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn("Could not save the sound settings", error);
+        }
+    }
+
+    get volume() {
+        return this.settings.volume;
+    }
+
+    //0 to 1
+    set volume(value) {
+        this.settings.volume = Math.min(1, Math.max(0, value));
+        this.#save();
+        this.#updateOutput();
+    }
+
+    get muted() {
+        return this.settings.muted;
+    }
+
+    set muted(value) {
+        this.settings.muted = Boolean(value);
+        this.#save();
+        this.#updateOutput();
+    }
+
+    get context() {
+        this.#context ??= new AudioContext();
+        if (!this.#output) {
+            this.#output = this.#context.createGain();
+            this.#output.connect(this.#context.destination);
+            this.#updateOutput();
+        }
+        return this.#context;
+    }
+
+    #updateOutput() {
+        if (this.#output) {
+            this.#output.gain.setValueAtTime(this.muted ? 0 : this.volume, this.#context.currentTime);
+        }
+    }
+
+    //Audio clock time to start a sound at, or null when muted so nothing gets scheduled
+    #now() {
+        if (this.muted || this.volume == 0) {
+            return null;
+        }
+        const context = this.context;
+        //a context made before the first click starts suspended; offline ones run when rendered instead
+        if (context.state == "suspended" && !("startRendering" in context)) {
+            context.resume();
+        }
+        return context.currentTime;
+    }
+
+    //One note: frequency in Hz, optionally gliding to `glide` Hz, fading out over `duration` seconds
+    #tone(at, { frequency, glide = null, type = "sine", duration, volume = 1 }) {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, at);
+        if (glide !== null) {
+            oscillator.frequency.exponentialRampToValueAtTime(glide, at + duration);
+        }
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(SILENT, at);
+        envelope.gain.exponentialRampToValueAtTime(volume, at + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(SILENT, at + duration);
+        oscillator.connect(envelope).connect(this.#output);
+        oscillator.start(at);
+        oscillator.stop(at + duration);
+    }
+
+    //A short click for a simulation step while the reels spin
+    tick() {
+        const at = this.#now();
+        if (at === null || at - this.#lastTick < TICK_GAP) return;
+        this.#lastTick = at;
+        this.#tone(at, { frequency: 1800, type: "square", duration: 0.015, volume: 0.08 });
+    }
+
+    //A low thud as a die comes to rest
+    settle() {
+        const at = this.#now();
+        if (at === null) return;
+        this.#tone(at, { frequency: 220, glide: 90, type: "triangle", duration: 0.12, volume: 0.5 });
+    }
+
+    //Rising blip when a die is held, falling when it's let go
+    hold(held) {
+        const at = this.#now();
+        if (at === null) return;
+        this.#tone(at, { frequency: held ? 660 : 880, glide: held ? 880 : 660, duration: 0.08, volume: 0.3 });
+    }
+
+    //Two chips clinking as the bet goes down
+    bet() {
+        const at = this.#now();
+        if (at === null) return;
+        this.#tone(at, { frequency: 2400, type: "triangle", duration: 0.06, volume: 0.25 });
+        this.#tone(at + 0.05, { frequency: 3000, type: "triangle", duration: 0.08, volume: 0.2 });
+    }
+
+    //A fanfare for a win of the tier from winTier: bigger wins climb more notes, from a higher start
+    win(tier) {
+        const at = this.#now();
+        if (at === null || tier <= 0) return;
+        const notes = FANFARE_STEPS.slice(0, Math.min(tier + 1, FANFARE_STEPS.length));
+        const root = 440 * 2 ** ((tier - 1) / 12);
+        const gap = 0.09;
+        notes.forEach((semitones, i) => {
+            const last = i == notes.length - 1;
+            this.#tone(at + i * gap, {
+                frequency: root * 2 ** (semitones / 12),
+                type: tier >= 5 ? "sawtooth" : "triangle",
+                duration: last ? 0.5 : gap * 1.5,
+                volume: 0.3,
+            });
+        });
+    }
+}
@@ -0,0 +1,88 @@
+//Bankroll and lifetime statistics, saved to localStorage so they survive a reload.
+//Any object with getItem/setItem/removeItem works as storage; without one they only last the session.
+
+const STORAGE_KEY = "video-dice-poker/stats";
+
+function emptyStats() {
+    return {
+        balance: null, //null until the first game saves its bankroll
+        handsPlayed: 0,
+        totalWagered: 0,
+        totalReturned: 0,
+        rebuys: 0,
+        hands: {}, //times each hand type came up
+        gambles: 0, //winning hands gambled
+        gamblesWon: 0, //gambles collected with at least one double
+        totalGambled: 0, //payouts put at stake
+        totalCollected: 0, //credits collected from gambles
+        longestDoubles: 0, //most doubles in one gamble
+    };
+}
+
+export class Stats {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.data = { ...emptyStats(), ...this.#load() };
+    }
+
+    #load() {
+        try {
+            const saved = this.storage?.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn("Could not load saved statistics", error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn("Could not save statistics", error); //e.g. storage full or disabled
+        }
+    }
+
+    get balance() {
+        return this.data.balance;
+    }
+
+    set balance(value) {
+        this.data.balance = value;
+        this.save();
+    }
+
+    //Observed return to player: credits paid out per credit wagered, null before the first hand
+    get rtp() {
+        return this.data.totalWagered > 0 ? this.data.totalReturned / this.data.totalWagered : null;
+    }
+
+    recordHand({ stake, hand, payout }) {
+        this.data.handsPlayed++;
+        this.data.totalWagered += stake;
+        this.data.totalReturned += payout;
+        this.data.hands[hand] = (this.data.hands[hand] ?? 0) + 1;
+        this.save();
+    }
+
+    //A finished double-or-nothing gamble, as in DiceGame.gamble
+    recordGamble({ stake, winnings, doubles }) {
+        this.data.gambles++;
+        this.data.gamblesWon += winnings > 0 && doubles > 0 ? 1 : 0;
+        this.data.totalGambled += stake;
+        this.data.totalCollected += winnings;
+        this.data.longestDoubles = Math.max(this.data.longestDoubles, doubles);
+        this.save();
+    }
+
+    recordRebuy() {
+        this.data.rebuys++;
+        this.save();
+    }
+
+    //Clears the statistics but keeps the bankroll
+    reset() {
+        this.data = { ...emptyStats(), balance: this.data.balance };
+        this.save();
+    }
+}
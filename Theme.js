@@ -0,0 +1,137 @@
+//Themes set the colors of the board: the cell gradient, how held and suggested dice and the dice
+//that made the last hand are highlighted, the pips and the background. The WebGPU renderer passes
+//them to its shaders as uniforms and the Canvas 2D renderer draws with the same colors.
+//Branded deployments can load their own from JSON.
+//Colors are given as "#rrggbb" and kept as [r, g, b] in 0..1, the way the shaders take them.
+
+const STORAGE_KEY = "video-dice-poker/theme";
+
+//How held and suggested dice stand out from the rest
+export const HoldStyle = Object.freeze({
+    FILL: "fill", //the whole cell in the highlight color
+    OUTLINE: "outline", //a border in the highlight color around the cell's own color
+});
+
+export const Themes = {
+    //The original look: a blue, red, cyan and yellow gradient on dark blue, held dice white
+    classic: parseTheme({
+        name: "Classic",
+        palette: { bottomLeft: "#0000ff", bottomRight: "#ff0000", topLeft: "#00ffff", topRight: "#ffff00" },
+        hold: "#ffffff",
+        suggested: "#ffff80",
+        scoring: "#80ff80",
+        holdStyle: HoldStyle.FILL,
+        pips: "#000066",
+        background: "#000066",
+    }),
+    //Black pips on white dice on black, with held dice outlined so they differ in shape too
+    highContrast: parseTheme({
+        name: "High contrast",
+        palette: { bottomLeft: "#ffffff", bottomRight: "#ffffff", topLeft: "#ffffff", topRight: "#ffffff" },
+        hold: "#0050ff",
+        suggested: "#ff8000",
+        scoring: "#00c000",
+        holdStyle: HoldStyle.OUTLINE,
+        pips: "#000000",
+        background: "#000000",
+    }),
+    //Okabe-Ito colors, told apart with any color vision: blues into yellow, orange for suggestions
+    colorblindSafe: parseTheme({
+        name: "Colorblind safe",
+        palette: { bottomLeft: "#0072b2", bottomRight: "#56b4e9", topLeft: "#009e73", topRight: "#f0e442" },
+        hold: "#ffffff",
+        suggested: "#e69f00",
+        scoring: "#cc79a7",
+        holdStyle: HoldStyle.OUTLINE,
+        pips: "#000000",
+        background: "#1a1a1a",
+    }),
+    //Ivory dice on casino felt
+    felt: parseTheme({
+        name: "Felt",
+        palette: { bottomLeft: "#e8e0c8", bottomRight: "#e8e0c8", topLeft: "#fffaf0", topRight: "#fffaf0" },
+        hold: "#d4a017",
+        suggested: "#f3e08a",
+        scoring: "#c0392b",
+        holdStyle: HoldStyle.FILL,
+        pips: "#1c1c1c",
+        background: "#0b5d2a",
+    }),
+};
+
+function parseColor(value, field) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value);
+    if (!match) {
+        throw new Error(`Theme ${field} needs a "#rrggbb" color, not ${JSON.stringify(value)}`);
+    }
+    return Object.freeze(match.slice(1).map(hex => parseInt(hex, 16) / 255));
+}
+
+//e.g. "rgb(0, 0, 102)" for the Canvas 2D renderer
+export function cssColor([r, g, b]) {
+    return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
+
+//Cell color at (x, y) in 0..1 from the bottom left: the palette's corners blended along both axes
+export function paletteColor(theme, x, y) {
+    const { bottomLeft, bottomRight, topLeft, topRight } = theme.palette;
+    return bottomLeft.map((_, i) =>
+        (bottomLeft[i] * (1 - x) + bottomRight[i] * x) * (1 - y) + (topLeft[i] * (1 - x) + topRight[i] * x) * y);
+}
+
+//Validates a theme given as a JSON string or plain object and returns a frozen copy with the colors parsed.
+//The scoring dice are marked in the hold color when the theme doesn't give them their own.
+export function parseTheme(json) {
+    const data = typeof json == "string" ? JSON.parse(json) : json;
+    if (!data || typeof data.palette != "object") {
+        throw new Error("Theme needs a palette object");
+    }
+    const palette = {};
+    for (const corner of ["bottomLeft", "bottomRight", "topLeft", "topRight"]) {
+        palette[corner] = parseColor(data.palette[corner], `palette.${corner}`);
+    }
+    const holdStyle = data.holdStyle ?? HoldStyle.FILL;
+    if (!Object.values(HoldStyle).includes(holdStyle)) {
+        throw new Error(`Unknown hold style "${holdStyle}"`);
+    }
+    return Object.freeze({
+        name: String(data.name ?? "Custom"),
+        palette: Object.freeze(palette),
+        hold: parseColor(data.hold, "hold"),
+        suggested: parseColor(data.suggested, "suggested"),
+        scoring: parseColor(data.scoring ?? data.hold, "scoring"),
+        holdStyle,
+        pips: parseColor(data.pips, "pips"),
+        background: parseColor(data.background, "background"),
+    });
+}
+
+//The player's pick of the built-in themes, saved like the statistics
+export class ThemePreference {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    //Name of the saved built-in theme, classic when none is saved or it no longer exists
+    get name() {
+        try {
+            const saved = this.storage?.getItem(STORAGE_KEY);
+            return saved !== null && saved !== undefined && Object.hasOwn(Themes, saved) ? saved : "classic";
+        } catch (error) {
+            console.warn("Could not load the theme", error);
+            return "classic";
+        }
+    }
+
+    set name(value) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, value);
+        } catch (error) {
+            console.warn("Could not save the theme", error);
+        }
+    }
+
+    get theme() {
+        return Themes[this.name];
+    }
+}
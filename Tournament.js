@@ -0,0 +1,115 @@
+//Hot-seat multiplayer: 2 to 6 named players take turns on one board, one hand per turn,
+//each with their own DiceGame and so their own bankroll. Like Engine.js there's no DOM access here.
+//A tournament either runs a fixed number of rounds and the highest balance wins, or goes on until
+//one player is left standing. Either way a player who can no longer cover the table minimum is out.
+import { BET, DiceGame, State } from "./Engine.js";
+import { createRng } from "./Random.js";
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+export const Format = Object.freeze({
+    ROUNDS: "rounds", //play `rounds` rounds, highest balance wins
+    ELIMINATION: "elimination", //play until one player is left; `rounds` caps it if given
+});
+
+export class Tournament {
+    //gameOptions go to every player's DiceGame; they all draw from one rng so a seed replays the whole tournament,
+    //as long as their rng isn't swapped for another, e.g. a provably fair round's
+    constructor({ players, format = Format.ROUNDS, rounds = format == Format.ELIMINATION ? Infinity : 5, rng = createRng(), balance = 100, ...gameOptions }) {
+        const names = players.map(name => String(name).trim());
+        if (names.length < MIN_PLAYERS || names.length > MAX_PLAYERS) {
+            throw new RangeError(`A tournament needs ${MIN_PLAYERS} to ${MAX_PLAYERS} players, not ${names.length}`);
+        }
+        if (names.some(name => name == "") || new Set(names).size != names.length) {
+            throw new RangeError("Every player needs a name of their own");
+        }
+        if (!Object.values(Format).includes(format)) {
+            throw new RangeError(`Unknown tournament format "${format}"`);
+        }
+        if (!(rounds === Infinity || Number.isInteger(rounds) && rounds >= 1)) {
+            throw new RangeError(`Invalid number of rounds: ${rounds}`);
+        }
+        //everyone would be out before the first turn
+        const minBet = gameOptions.limits?.min ?? BET;
+        if (!(Number.isFinite(balance) && balance >= minBet)) {
+            throw new RangeError(`A starting balance of ${balance} doesn't cover the minimum bet of ${minBet}`);
+        }
+        this.format = format;
+        this.rounds = rounds;
+        this.rng = rng;
+        this.players = names.map(name => ({
+            name,
+            game: new DiceGame({ ...gameOptions, balance, rng }),
+            outInRound: null, //round the player went bust in, null while still playing
+        }));
+        this.round = 1;
+        this.turn = 0; //index of the player whose turn it is
+        this.players.forEach(player => this.#checkOut(player));
+        this.#skipOut();
+    }
+
+    get seed() {
+        return this.rng.seed;
+    }
+
+    get current() {
+        return this.players[this.turn];
+    }
+
+    get active() {
+        return this.players.filter(player => player.outInRound === null);
+    }
+
+    get finished() {
+        return this.round > this.rounds || this.active.length == 0 ||
+            this.format == Format.ELIMINATION && this.active.length <= 1;
+    }
+
+    #checkOut(player) {
+        if (player.outInRound === null && player.game.state == State.BROKE) {
+            player.outInRound = this.round;
+        }
+    }
+
+    //Moves on from a player who is out, starting a new round after the last player
+    #skipOut() {
+        for (let i = 0; i < this.players.length && this.current.outInRound !== null; i++) {
+            this.#advance();
+        }
+    }
+
+    #advance() {
+        this.turn = (this.turn + 1) % this.players.length;
+        if (this.turn == 0) {
+            this.round++;
+        }
+    }
+
+    //Call once the current player's hand is settled; returns the player up next, or null when it's over
+    endTurn() {
+        if (this.current.game.state != State.SETTLED && this.current.game.state != State.BROKE) {
+            throw new Error(`${this.current.name}'s hand isn't over yet`);
+        }
+        this.#checkOut(this.current);
+        this.#advance();
+        this.#skipOut();
+        return this.finished ? null : this.current;
+    }
+
+    //Players best first: higher balance, then whoever lasted longer
+    get standings() {
+        return [...this.players].sort((a, b) =>
+            b.game.balance - a.game.balance || (b.outInRound ?? Infinity) - (a.outInRound ?? Infinity));
+    }
+
+    //The winners once the tournament is over, more than one on a tie
+    get winners() {
+        if (!this.finished) {
+            return [];
+        }
+        const [best] = this.standings;
+        return this.standings.filter(player =>
+            player.game.balance == best.game.balance && player.outInRound === best.outInRound);
+    }
+}
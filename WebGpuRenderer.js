@@ -0,0 +1,584 @@
+//WebGPU renderer: runs the roll simulation in the compute shader and draws
+//the cell grid with the dice pips on top, for a board from createBoard(), in the colors of a theme.
+import { HoldStyle, Themes } from "./Theme.js";
+
+const WORKGROUP_SIZE_X = 5;
+const WORKGROUP_SIZE_Y = 6;
+const OUTLINE = 0.25; //share of the drawn square the outline hold style covers on each side
+
+//The Theme struct of the shaders: eight colors as vec4f, then the hold style and padding to 16 bytes
+function themeUniforms(theme) {
+    const colors = [theme.palette.bottomLeft, theme.palette.bottomRight, theme.palette.topLeft, theme.palette.topRight,
+        theme.hold, theme.suggested, theme.scoring, theme.pips];
+    return new Float32Array([
+        ...colors.flatMap(color => [...color, 1]),
+        theme.holdStyle == HoldStyle.OUTLINE ? 1 : 0, 0, 0, 0,
+    ]);
+}
+
+//Resolves to null when the browser has no WebGPU or no suitable adapter
+export async function createWebGpuRenderer(canvas, board, theme = Themes.classic) {
+    //Check the browser supports WebGPU
+    if (!navigator.gpu) {
+        return null;
+    }
+
+    //Get adapter if available, then get device
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) {
+        return null;
+    }
+    const device = await adapter.requestDevice();
+
+    //Configure canvas for WebGPU
+    const context = canvas.getContext("webgpu");
+    const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
+    context.configure({
+        device: device,
+        format: canvasFormat,
+    });
+
+    const vertices = new Float32Array([
+        //   X,    Y,
+        -0.8, -0.8, // Triangle 1 (Blue)
+        0.8, -0.8,
+        0.8, 0.8,
+
+        -0.8, -0.8, // Triangle 2 (Red)
+        0.8, 0.8,
+        -0.8, 0.8,
+    ]);
+
+    //Creates a GPU buffer, flags it for vertex usage and as a copy destination
+    //Then copies the vertices into the buffer
+    const vertexBuffer = device.createBuffer({
+        label: "Cell vertices",
+        size: vertices.byteLength,
+        usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(vertexBuffer, /*bufferOffset=*/0, vertices);
+
+    //Tells GPU how to read the buffer bytes
+    const vertexBufferLayout = {
+        arrayStride: 8, // 2 floats per vertex, 4 bytes per float
+        attributes: [{
+            format: "float32x2", //2 floats per vertex: https://gpuweb.github.io/gpuweb/#enumdef-gpuvertexformat
+            offset: 0, //there can be multiple attributes per element, their offsets are relative to the start of the element
+            shaderLocation: 0, // Position, see vertex shader
+        }],
+    };
+
+    // Create a uniform buffer that describes the grid; similar to vertex buffer
+    const uniformArray = new Float32Array([board.sizeX, board.sizeY]);
+    const uniformBuffer = device.createBuffer({
+        label: "Grid Uniforms",
+        size: uniformArray.byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(uniformBuffer, 0, uniformArray);
+
+    //The theme's colors, shared by the cell and dice shaders and rewritten by setTheme
+    const themeBuffer = device.createBuffer({
+        label: "Theme uniforms",
+        size: themeUniforms(theme).byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(themeBuffer, 0, themeUniforms(theme));
+    //the background is the render passes' clear color
+    let clearValue = { r: theme.background[0], g: theme.background[1], b: theme.background[2], a: 1 };
+
+    const themeStruct = `
+        struct Theme {
+            bottomLeft: vec4f,
+            bottomRight: vec4f,
+            topLeft: vec4f,
+            topRight: vec4f,
+            hold: vec4f,
+            suggested: vec4f,
+            scoring: vec4f,
+            pips: vec4f,
+            holdStyle: f32, // 0 fills the cell, 1 outlines it
+        };
+    `;
+
+    // Create an array representing the active state of each cell.
+    const cellStateArray = new Uint32Array(board.sizeX * board.sizeY);
+
+    // Create two storage buffers to hold the cell state.
+    const cellStateStorage = [
+        device.createBuffer({
+            label: "Cell State A",
+            size: cellStateArray.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        }),
+        device.createBuffer({
+            label: "Cell State B",
+            size: cellStateArray.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        })
+    ];
+
+    // An extra buffer to read out the cell state for game logic
+    const cellStateReadStorage =
+        device.createBuffer({
+            label: "Cell State Read",
+            size: cellStateArray.byteLength,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+
+    //Buffer for game controls, written from the caller's control array before every pass
+    const controlStorage = device.createBuffer({
+        label: "Control Buffer",
+        size: (board.sizeX + 1) * Uint32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    //Shaders are GPU code that defines how to process vertices
+    //takes shaderLocation 0 from vertexBefferLayout; float32x2=vec2f
+    //@vertex returns 4-dimensional vector, x y z w of the vertex
+    //pos can be used instead of pos.x, pos.y
+    //@fragment returns 4-dimensional vector, pixel color as r, g, b, a
+    const cellShaderModule = device.createShaderModule({
+        label: "Cell shader",
+        code: `
+            struct VertexInput {
+                @location(0) pos: vec2f,
+                @builtin(instance_index) instance: u32,
+            };
+
+            struct VertexOutput {
+                @builtin(position) pos: vec4f,
+                @location(0) cell: vec2f,
+                @location(1) local: vec2f, // -1..1 across the drawn square
+            };
+            ${themeStruct}
+            @group(0) @binding(0) var<uniform> grid: vec2f;
+            @group(0) @binding(1) var<storage> cellState: array<u32>;
+            @group(0) @binding(3) var<storage> control: array<u32>;
+            @group(0) @binding(4) var<uniform> theme: Theme;
+
+            @vertex
+            fn vertexMain(input: VertexInput) -> VertexOutput {
+                let i = f32(input.instance); // Save the instance_index as a float
+                let cell = vec2f(i % grid.x, floor(i / grid.x)); // Cell coordinates from bottom left
+                let state = f32(cellState[input.instance]);
+
+                let cellOffset = cell / grid * 2; //Canvas is actually 2x2, -1..+1
+                let gridPos = (input.pos * state + 1) / grid - 1 + cellOffset;
+
+                var output: VertexOutput;
+                output.pos = vec4f(gridPos, 0, 1);
+                output.cell = cell;
+                output.local = input.pos / 0.8;
+                return output;
+            }
+
+            @fragment
+            fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
+                let c = input.cell / grid;
+                let color = mix(mix(theme.bottomLeft, theme.bottomRight, c.x), mix(theme.topLeft, theme.topRight, c.x), c.y);
+                // Highlights cover the whole cell, or only its border with the outline style
+                let edge = max(abs(input.local.x), abs(input.local.y)) > 1 - 2 * ${OUTLINE};
+                let highlighted = theme.holdStyle == 0 || edge;
+                let hold = control[u32(input.cell.x) + 1];
+                if (hold == 1 && highlighted) {
+                    return theme.hold;
+                }
+                if (control[0] % 2 == 0 && hold == 2 && highlighted) { // Suggested hold, only between rolls
+                    return theme.suggested;
+                }
+                if (hold == 5 && highlighted) { // Die that made the settled hand
+                    return theme.scoring;
+                }
+                return color;
+            }
+        `
+    });
+
+    // Create the compute shader that will process the simulation.
+    const simulationShaderModule = device.createShaderModule({
+        label: "Logic shader",
+        code: `
+            @group(0) @binding(0) var<uniform> grid: vec2f;
+
+            @group(0) @binding(1) var<storage> cellStateIn: array<u32>;
+            @group(0) @binding(2) var<storage, read_write> cellStateOut: array<u32>;
+            @group(0) @binding(3) var<storage> control: array<u32>;
+
+            fn cellIndex(cell: vec2u) -> u32 {
+                return (cell.y % u32(grid.y)) * u32(grid.x) +
+                        (cell.x % u32(grid.x));
+            }
+
+            fn cellPos(cellInd: u32) -> vec2u {
+                return vec2u(cellInd % u32(grid.x), cellInd / u32(grid.x));
+            }
+
+            fn cellActive(x: u32, y: u32) -> u32 {
+                return cellStateIn[cellIndex(vec2(x, y))];
+            }
+
+            @compute @workgroup_size(${WORKGROUP_SIZE_X}, ${WORKGROUP_SIZE_Y})
+            fn computeMain(@builtin(global_invocation_id) cell: vec3u) {
+                // Workgroups don't divide every board evenly, skip the invocations past its edge
+                if (cell.x >= u32(grid.x) || cell.y >= u32(grid.y)) {
+                    return;
+                }
+
+                // Check if cell above was active
+                let isNext = cellActive(cell.x, (cell.y + 1 + control[cell.x + 1]) % u32(grid.y));
+                let i = cellIndex(cell.xy);
+
+                if (control[0] > 1) & (control[cell.x + 1] == 1) { // Held dice stay put on re-rolls
+                    cellStateOut[i] = cellStateIn[i];
+                } else {
+                    switch isNext {
+                        case 1: { // Cell with neighbor above becomes active.
+                            cellStateOut[i] = 1;
+                        }
+                        default: { // Cells are inactive by default
+                            cellStateOut[i] = 0;
+                        }
+                    }
+                }
+
+            }`
+    });
+
+    // Create the bind group layout and pipeline layout.
+    const bindGroupLayout = device.createBindGroupLayout({
+        label: "Cell Bind Group Layout",
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+            buffer: {} // Grid uniform buffer
+        }, {
+            binding: 1,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+            buffer: { type: "read-only-storage" } // Cell state input buffer
+        }, {
+            binding: 2,
+            visibility: GPUShaderStage.COMPUTE,
+            buffer: { type: "storage" } // Cell state output buffer
+        }, {
+            binding: 3,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+            buffer: { type: "read-only-storage" } // Control buffer
+        }, {
+            binding: 4,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+            buffer: {} // Theme uniform buffer
+        }]
+    });
+
+    const pipelineLayout = device.createPipelineLayout({
+        label: "Cell Pipeline Layout",
+        bindGroupLayouts: [bindGroupLayout],
+    });
+
+    //Render pipeline actually controls how the geometry is drawn, e.g. 
+    //which shaders to use and how to read buffers
+    const cellPipeline = device.createRenderPipeline({
+        label: "Cell pipeline",
+        layout: pipelineLayout,
+        vertex: {
+            module: cellShaderModule,
+            entryPoint: "vertexMain",
+            buffers: [vertexBufferLayout]
+        },
+        fragment: {
+            module: cellShaderModule,
+            entryPoint: "fragmentMain",
+            targets: [{
+                format: canvasFormat
+            }]
+        }
+    });
+
+    // Create a compute pipeline that updates the game state.
+    const simulationPipeline = device.createComputePipeline({
+        label: "Simulation pipeline",
+        layout: pipelineLayout,
+        compute: {
+            module: simulationShaderModule,
+            entryPoint: "computeMain",
+        }
+    });
+
+    const bindGroups = [
+        device.createBindGroup({
+            label: "Cell renderer bind group A",
+            layout: bindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: { buffer: uniformBuffer }
+            }, {
+                binding: 1,
+                resource: { buffer: cellStateStorage[0] }
+            }, {
+                binding: 2,
+                resource: { buffer: cellStateStorage[1] }
+            }, {
+                binding: 3,
+                resource: { buffer: controlStorage }
+            }, {
+                binding: 4,
+                resource: { buffer: themeBuffer }
+            }],
+        }),
+        device.createBindGroup({
+            label: "Cell renderer bind group B",
+            layout: bindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: { buffer: uniformBuffer }
+            }, {
+                binding: 1,
+                resource: { buffer: cellStateStorage[1] }
+            }, {
+                binding: 2,
+                resource: { buffer: cellStateStorage[0] }
+            }, {
+                binding: 3,
+                resource: { buffer: controlStorage }
+            }, {
+                binding: 4,
+                resource: { buffer: themeBuffer }
+            }],
+        })
+    ];
+
+    //#region Dice Pipeline
+    // Create a uniform buffer that describes the grid; similar to vertex buffer
+    const diceUniformArray = new Float32Array([board.pipSizeX, board.pipSizeY]);
+    const diceUniformBuffer = device.createBuffer({
+        label: "Dice grid uniforms",
+        size: diceUniformArray.byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(diceUniformBuffer, 0, diceUniformArray);
+
+    // The pip mask never changes, so one storage buffer is enough
+    const diceStateArray = board.pips;
+    const diceStateStorage =
+        device.createBuffer({
+            label: "Dice state",
+            size: diceStateArray.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+
+    // Randomly enable dice for testing
+    // for (let i = 0; i < diceStateArray.length; ++i) {
+    //     diceStateArray[i] = Math.random() < 0.6 ? 0 : 1;
+    // }
+    device.queue.writeBuffer(diceStateStorage, 0, diceStateArray);
+
+    const diceBindGroupLayout = device.createBindGroupLayout({
+        label: "Dice Bind Group Layout",
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+            buffer: {} // Grid uniform buffer
+        }, {
+            binding: 1,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+            buffer: { type: "read-only-storage" } // Dice state input buffer
+        }, {
+            binding: 2,
+            visibility: GPUShaderStage.FRAGMENT,
+            buffer: {} // Theme uniform buffer
+        }]
+    });
+
+    const diceBindGroup =
+        device.createBindGroup({
+            label: "Dice renderer bind group",
+            layout: diceBindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: { buffer: diceUniformBuffer }
+            }, {
+                binding: 1,
+                resource: { buffer: diceStateStorage }
+            }, {
+                binding: 2,
+                resource: { buffer: themeBuffer }
+            }],
+        });
+
+    const dicePipelineLayout = device.createPipelineLayout({
+        label: "Dice Pipeline Layout",
+        bindGroupLayouts: [diceBindGroupLayout],
+    });
+
+    const diceShaderModule = device.createShaderModule({
+        label: "Dice shader",
+        code: `
+            struct VertexInput {
+                @location(0) pos: vec2f,
+                @builtin(instance_index) instance: u32,
+            };
+
+            struct VertexOutput {
+                @builtin(position) pos: vec4f,
+                @location(0) dice: vec2f,
+            };
+            ${themeStruct}
+            @group(0) @binding(0) var<uniform> grid: vec2f;
+            @group(0) @binding(1) var<storage> diceState: array<u32>;
+            @group(0) @binding(2) var<uniform> theme: Theme;
+
+            @vertex
+            fn vertexMain(input: VertexInput) -> VertexOutput {
+                let i = f32(input.instance); // Save the instance_index as a float
+                let dice = vec2f(i % grid.x, floor(i / grid.x)); // dice coordinates from bottom left
+                let state = f32(diceState[input.instance]);
+
+                let diceOffset = dice / grid * 2; //Canvas is actually 2x2, -1..+1
+                let gridPos = (input.pos * state + 1) / grid - 1 + diceOffset;
+
+                var output: VertexOutput;
+                output.pos = vec4f(gridPos, 0, 1);
+                output.dice = dice;
+                return output;
+            }
+
+            @fragment
+            fn fragmentMain() -> @location(0) vec4f {
+                return theme.pips;
+            }
+        `
+    });
+
+    const dicePipeline = device.createRenderPipeline({
+        label: "Dice pipeline",
+        layout: dicePipelineLayout,
+        vertex: {
+            module: diceShaderModule,
+            entryPoint: "vertexMain",
+            buffers: [vertexBufferLayout]
+        },
+        fragment: {
+            module: diceShaderModule,
+            entryPoint: "fragmentMain",
+            targets: [{
+                format: canvasFormat
+            }]
+        }
+    });
+    //#endregion
+
+    let step = 0; // Track how many simulation steps have been run
+    function encodeSimulation(encoder) {
+        const computePass = encoder.beginComputePass();
+        computePass.setPipeline(simulationPipeline);
+        computePass.setBindGroup(0, bindGroups[step % 2]);
+        computePass.dispatchWorkgroups(
+            Math.ceil(board.sizeX / WORKGROUP_SIZE_X),
+            Math.ceil(board.sizeY / WORKGROUP_SIZE_Y));
+        computePass.end();
+
+        step++; // Increment the step count
+    }
+
+    function updateGrid(controlArray) {
+        device.queue.writeBuffer(controlStorage, 0, controlArray);
+        const encoder = device.createCommandEncoder();
+        encodeSimulation(encoder);
+
+        //Prepares a command for GPU: gets current canvas texture,
+        //creates a view based on those dimensions,
+        //sets clear on load and saves drawing results into the texture
+        //at the end of render pass
+        const pass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: context.getCurrentTexture().createView(),
+                loadOp: "clear",
+                clearValue, //the theme's background
+                storeOp: "store",
+            }]
+        });
+        pass.setPipeline(cellPipeline);
+        pass.setVertexBuffer(0, vertexBuffer);
+        pass.setBindGroup(0, bindGroups[step % 2]);
+        pass.draw(vertices.length / 2, board.sizeX * board.sizeY); // 6 vertices
+        pass.setPipeline(dicePipeline);
+        pass.setVertexBuffer(0, vertexBuffer);
+        pass.setBindGroup(0, diceBindGroup);
+        pass.draw(vertices.length / 2, board.pipSizeX * board.pipSizeY); // 6 vertices
+        pass.end();
+
+        encoder.copyBufferToBuffer(cellStateStorage[step % 2], 0, cellStateReadStorage, 0, cellStateArray.byteLength);
+        //Buffers are single-use, makes more sense to do in one-liner:
+        device.queue.submit([encoder.finish()]);
+    }
+
+    //One simulation step without drawing, for animations that run several steps per frame
+    function updateSimulationOnly(controlArray) {
+        device.queue.writeBuffer(controlStorage, 0, controlArray);
+        const encoder = device.createCommandEncoder();
+        encodeSimulation(encoder);
+        encoder.copyBufferToBuffer(cellStateStorage[step % 2], 0, cellStateReadStorage, 0, cellStateArray.byteLength);
+        device.queue.submit([encoder.finish()]);
+    }
+
+    function updateVisualsOnly(controlArray) {
+        device.queue.writeBuffer(controlStorage, 0, controlArray);
+        const encoder = device.createCommandEncoder();
+
+        const pass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: context.getCurrentTexture().createView(),
+                loadOp: "clear",
+                clearValue, //the theme's background
+                storeOp: "store",
+            }]
+        });
+        pass.setPipeline(cellPipeline);
+        pass.setVertexBuffer(0, vertexBuffer);
+        pass.setBindGroup(0, bindGroups[step % 2]);
+        pass.draw(vertices.length / 2, board.sizeX * board.sizeY); // 6 vertices
+        pass.setPipeline(dicePipeline);
+        pass.setVertexBuffer(0, vertexBuffer);
+        pass.setBindGroup(0, diceBindGroup);
+        pass.draw(vertices.length / 2, board.pipSizeX * board.pipSizeY); // 6 vertices
+        pass.end();
+
+        encoder.copyBufferToBuffer(cellStateStorage[step % 2], 0, cellStateReadStorage, 0, cellStateArray.byteLength);
+        //Buffers are single-use, makes more sense to do in one-liner:
+        device.queue.submit([encoder.finish()]);
+    }
+
+    async function getCellState() {
+        await cellStateReadStorage.mapAsync(
+            GPUMapMode.READ,
+            0,
+            cellStateArray.byteLength
+        );
+        const copyArrayBuffer = cellStateReadStorage.getMappedRange(0, cellStateArray.byteLength);
+        const data = new Uint32Array(copyArrayBuffer.slice());
+        cellStateReadStorage.unmap();
+        return data;
+    }
+
+    //Overwrite both cell state buffers, e.g. to place the dice before a roll
+    function setCellState(cells) {
+        device.queue.writeBuffer(cellStateStorage[0], 0, cells);
+        device.queue.writeBuffer(cellStateStorage[1], 0, cells);
+    }
+
+    function setTheme(value) {
+        device.queue.writeBuffer(themeBuffer, 0, themeUniforms(value));
+        clearValue = { r: value.background[0], g: value.background[1], b: value.background[2], a: 1 };
+    }
+
+    return {
+        name: "WebGPU",
+        setCells: setCellState,
+        step: updateGrid,
+        advance: updateSimulationOnly,
+        draw: updateVisualsOnly,
+        readCells: getCellState,
+        setTheme,
+    };
+}
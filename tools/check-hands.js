@@ -0,0 +1,65 @@
+//Checks evaluateHand against a table of dice and the results they have to give: every hand type,
+//the edges between them, and boards other than five six-sided dice.
+//Usage: node tools/check-hands.js
+import { evaluateHand } from "../Engine.js";
+import { Paytables } from "../Paytable.js";
+
+//Payouts are on the default stake of 10; paytable is the built-in one to evaluate with, classic by default
+const CASES = [
+    //every hand type of the classic paytable
+    { dice: [2, 2, 2, 2, 2], type: "fiveOfAKind", payout: 60, scoringDice: [0, 1, 2, 3, 4], value: 2 },
+    { dice: [4, 1, 4, 4, 4], type: "fourOfAKind", payout: 50, scoringDice: [0, 2, 3, 4], value: 4 },
+    { dice: [3, 3, 3, 5, 5], type: "fullHouse", payout: 40, scoringDice: [0, 1, 2, 3, 4], value: 3 },
+    { dice: [6, 2, 3, 4, 5], type: "sixHighStraight", payout: 35, scoringDice: [0, 1, 2, 3, 4], value: 6 },
+    { dice: [5, 4, 3, 2, 1], type: "fiveHighStraight", payout: 30, scoringDice: [0, 1, 2, 3, 4], value: 5 },
+    { dice: [3, 3, 3, 5, 6], type: "threeOfAKind", payout: 20, scoringDice: [0, 1, 2], value: 3 },
+    { dice: [1, 1, 6, 6, 3], type: "twoPairs", payout: 15, scoringDice: [0, 1, 2, 3], value: 6 },
+    { dice: [5, 1, 5, 2, 3], type: "pair", payout: 10, scoringDice: [0, 2], value: 5 },
+    { dice: [1, 2, 3, 4, 6], type: "nothing", payout: 0, scoringDice: [], value: null },
+    //straights: counts[0] (a 1) only goes with the five-high one, counts[5] (a 6) only with the six-high one
+    { dice: [1, 2, 3, 4, 5], type: "fiveHighStraight", payout: 30, scoringDice: [0, 1, 2, 3, 4], value: 5 },
+    { dice: [2, 3, 4, 5, 6], type: "sixHighStraight", payout: 35, scoringDice: [0, 1, 2, 3, 4], value: 6 },
+    { dice: [1, 3, 4, 5, 6], type: "nothing", payout: 0, scoringDice: [], value: null },
+    { dice: [6, 1, 2, 3, 4], type: "nothing", payout: 0, scoringDice: [], value: null },
+    { dice: [1, 2, 3, 4, 4], type: "pair", payout: 10, scoringDice: [3, 4], value: 4 },
+    //full house against three and four of a kind
+    { dice: [2, 6, 6, 2, 6], type: "fullHouse", payout: 40, scoringDice: [0, 1, 2, 3, 4], value: 6 },
+    { dice: [2, 2, 6, 6, 6], type: "fullHouse", payout: 40, scoringDice: [0, 1, 2, 3, 4], value: 6 },
+    { dice: [4, 4, 4, 4, 2], type: "fourOfAKind", payout: 50, scoringDice: [0, 1, 2, 3], value: 4 },
+    { dice: [5, 5, 5, 1, 2], type: "threeOfAKind", payout: 20, scoringDice: [0, 1, 2], value: 5 },
+    //two pairs: the higher pair is the value, whatever order the dice are in
+    { dice: [3, 5, 1, 5, 3], type: "twoPairs", payout: 15, scoringDice: [0, 1, 3, 4], value: 5 },
+    { dice: [2, 2, 1, 1, 6], type: "twoPairs", payout: 15, scoringDice: [0, 1, 2, 3], value: 2 },
+    //a paytable with a consolation hand
+    { dice: [1, 2, 3, 4, 6], paytable: "consolation", type: "nothingButASix", payout: 5, scoringDice: [4], value: 6 },
+    { dice: [6, 1, 6, 2, 3], paytable: "consolation", type: "pair", payout: 10, scoringDice: [0, 2], value: 6 },
+    { dice: [1, 2, 3, 4, 5], paytable: "consolation", type: "fiveHighStraight", payout: 30, scoringDice: [0, 1, 2, 3, 4], value: 5 },
+    { dice: [1, 2, 3, 5, 5], paytable: "bigStraight", type: "pair", payout: 10, scoringDice: [3, 4], value: 5 },
+    { dice: [6, 5, 4, 3, 2], paytable: "bigStraight", type: "sixHighStraight", payout: 45, scoringDice: [0, 1, 2, 3, 4], value: 6 },
+    //other boards
+    { dice: [3, 4, 5, 6, 7, 8], type: "sixHighStraight", payout: 35, scoringDice: [0, 1, 2, 3, 4, 5], value: 8 },
+    { dice: [1, 2, 3, 4, 5, 6], type: "fiveHighStraight", payout: 30, scoringDice: [0, 1, 2, 3, 4, 5], value: 6 },
+    { dice: [2, 4, 3], type: "sixHighStraight", payout: 35, scoringDice: [0, 1, 2], value: 4 },
+    { dice: [1, 1, 4], type: "pair", payout: 10, scoringDice: [0, 1], value: 1 },
+    { dice: [9, 9, 1, 9, 9, 9, 1], type: "fiveOfAKind", payout: 60, scoringDice: [0, 1, 3, 4, 5], value: 9 },
+    { dice: [2, 2, 2, 5, 5, 5], type: "fullHouse", payout: 40, scoringDice: [0, 1, 2, 3, 4, 5], value: 5 },
+    { dice: [1, 1, 3, 3, 5, 5], type: "twoPairs", payout: 15, scoringDice: [2, 3, 4, 5], value: 5 },
+    { dice: [7, 7, 7, 7], type: "fourOfAKind", payout: 50, scoringDice: [0, 1, 2, 3], value: 7 },
+    { dice: [1, 2, 4, 8], type: "nothing", payout: 0, scoringDice: [], value: null },
+];
+
+let failed = 0;
+for (const { dice, paytable = "classic", ...expected } of CASES) {
+    const result = evaluateHand(dice, Paytables[paytable]);
+    const problems = Object.keys(expected).filter(key => JSON.stringify(result[key]) != JSON.stringify(expected[key]));
+    const name = `${dice.join(" ")}${paytable == "classic" ? "" : ` (${paytable})`}`;
+    if (problems.length == 0) {
+        console.log(`${name}: ok, ${result.type}`);
+    } else {
+        failed++;
+        console.log(`${name}: FAILED`);
+        problems.forEach(key => console.log(`    ${key} is ${JSON.stringify(result[key])}, expected ${JSON.stringify(expected[key])}`));
+    }
+}
+console.log(`${CASES.length - failed} passed, ${failed} failed`);
+process.exitCode = failed > 0 ? 1 : 0;
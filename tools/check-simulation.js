@@ -0,0 +1,32 @@
+//Checks the CPU reference of the roll simulation, plus any recorded GPU traces given as arguments.
+//Record a trace by opening the game with ?verify and saving the JSON it logs to the console.
+//The CPU reference is checked on the default board and on the smallest and largest supported ones.
+//Usage: node tools/check-simulation.js [trace.json ...]
+import { readFileSync } from "node:fs";
+import { createBoard, FACE_LAYOUTS } from "../Board.js";
+import { runStepChecks, checkTrace } from "../SimulationCheck.js";
+
+let failed = false;
+
+function report(name, failures) {
+    if (failures.length == 0) {
+        console.log(`${name}: ok`);
+        return;
+    }
+    failed = true;
+    console.log(`${name}: ${failures.length} failing steps`);
+    for (const { before, control, after, problems } of failures) {
+        console.log(`  control [${control}]\n    before [${before}]\n    after  [${after}]`);
+        for (const problem of problems) {
+            console.log(`    ${problem}`);
+        }
+    }
+}
+
+report("CPU reference", await runStepChecks());
+report("CPU reference, 1d2", await runStepChecks(createBoard(1, 2)));
+report(`CPU reference, 9d${FACE_LAYOUTS.length - 1}`, await runStepChecks(createBoard(9, FACE_LAYOUTS.length - 1)));
+for (const file of process.argv.slice(2)) {
+    report(file, checkTrace(JSON.parse(readFileSync(file, "utf8"))));
+}
+process.exitCode = failed ? 1 : 0;
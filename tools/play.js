@@ -0,0 +1,281 @@
+//The game in a terminal, for machines without a browser or a GPU: the same DiceGame rules as the page,
+//with the dice drawn as text from the board's pip mask, the one the renderers draw.
+//Type commands at the prompt, or pass --script to read them from stdin, one per line, and get one
+//line of JSON back for each, e.g. for bots:
+//  printf "roll\nhold 1 2\nroll\n" | node tools/play.js --script --seed 42
+//Commands: roll, hold <die>..., unhold <die>..., toggle <die>..., bet <up | down | max | credits>, hint,
+//gamble, low, high, collect, rebuy, show, help, quit. A line of digits, e.g. "135", toggles those dice like the number keys.
+//Bad arguments end script mode with a line of JSON too, {"ok":false,"error":...}, and a non-zero exit code.
+//Usage: node tools/play.js [--script] [--seed <n>] [--balance 100] [--paytable <built-in name | file.json>]
+//                          [--min 10] [--max 100] [--rolls 2] [--dice 5] [--faces 6] [--mode duel] [--no-color]
+import { readFileSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import { DICE_COUNT, FACE_COUNT, DiceGame, Guess, Mode, State } from "../Engine.js";
+import { Paytables, parsePaytable } from "../Paytable.js";
+import { createRng } from "../Random.js";
+import { CELL_PIPS, createBoard } from "../Board.js";
+import { holdOptions } from "../Advisor.js";
+import { describeDuel } from "../Accessibility.js";
+
+//Reads the arguments and sets up the game they ask for; throws on bad ones
+function setUp() {
+    const { values: args } = parseArgs({
+        options: {
+            script: { type: "boolean", default: false },
+            seed: { type: "string" },
+            balance: { type: "string", default: "100" },
+            paytable: { type: "string", default: "classic" },
+            min: { type: "string", default: "10" },
+            max: { type: "string", default: "100" },
+            rolls: { type: "string", default: "2" },
+            dice: { type: "string", default: String(DICE_COUNT) },
+            faces: { type: "string", default: String(FACE_COUNT) },
+            mode: { type: "string", default: Mode.PAYTABLE },
+            "no-color": { type: "boolean", default: false },
+        },
+    });
+
+    const paytable = Object.hasOwn(Paytables, args.paytable)
+        ? Paytables[args.paytable]
+        : parsePaytable(readFileSync(args.paytable, "utf8"));
+    const board = createBoard(Number(args.dice), Number(args.faces));
+    const minBet = Number(args.min);
+    const game = new DiceGame({
+        diceCount: board.sizeX,
+        faceCount: board.sizeY,
+        rolls: Number(args.rolls),
+        balance: Number(args.balance),
+        paytable,
+        limits: { min: minBet, max: Number(args.max), step: minBet },
+        bet: minBet,
+        rng: createRng(args.seed === undefined ? undefined : Number(args.seed)),
+        mode: args.mode,
+    });
+    return { args, paytable, board, game };
+}
+
+//In script mode even bad arguments get their line of JSON, so a bot always has something to parse
+let setup;
+try {
+    setup = setUp();
+} catch (error) {
+    console.log(process.argv.includes("--script") ? JSON.stringify({ ok: false, error: error.message }) : error.message);
+    process.exit(1);
+}
+const { args, paytable, board, game } = setup;
+
+const color = !args.script && !args["no-color"] && process.stdout.isTTY;
+const ANSI = {
+    held: "\x1b[30;47m", //black on white, like the white held cells
+    scoring: "\x1b[30;42m", //black on green
+    reset: "\x1b[0m",
+};
+
+//The control array the renderers would draw from, see BoardView: the phase, then 1 for held dice,
+//or 5 for the dice that made the settled hand until the next bet
+function controlFor(game) {
+    const control = new Uint32Array(game.diceCount + 1);
+    control[0] = game.phase;
+    for (let i = 0; i < game.diceCount; ++i) {
+        control[i + 1] = game.evaluation ? (game.evaluation.scoringDice.includes(i) ? 5 : 0) : game.holds[i] ? 1 : 0;
+    }
+    return control;
+}
+
+//The dealer's board only ever marks the dice of its settled hand
+function dealerControlFor(game) {
+    const control = new Uint32Array(game.diceCount + 1);
+    for (const i of game.dealerEvaluation?.scoringDice ?? []) {
+        control[i + 1] = 5;
+    }
+    return control;
+}
+
+//Draws the dice side by side in boxes: the pips are read from the inner 3x3 of each die's cell
+//in board.pips, on the row of the face it shows, top row first
+function drawDice(dice, control) {
+    const inner = CELL_PIPS - 2;
+    const lines = Array.from({ length: inner + 3 }, () => []);
+    dice.forEach((face, die) => {
+        const rows = [];
+        for (let row = inner; row >= 1; row--) {
+            const y = (face - 1) * CELL_PIPS + row;
+            let text = "";
+            for (let column = 1; column <= inner; column++) {
+                text += board.pips[y * board.pipSizeX + die * CELL_PIPS + column] ? " ●" : "  ";
+            }
+            rows.push(text + " ");
+        }
+        const style = control[die + 1] == 1 ? ANSI.held : control[die + 1] == 5 ? ANSI.scoring : "";
+        const paint = text => color && style ? style + text + ANSI.reset : text;
+        const width = inner * 2 + 1;
+        lines[0].push("┌" + "─".repeat(width) + "┐");
+        rows.forEach((text, i) => lines[i + 1].push("│" + paint(text) + "│"));
+        lines[inner + 1].push("└" + "─".repeat(width) + "┘");
+        const label = control[die + 1] == 1 ? "held" : control[die + 1] == 5 ? "*" : String(die + 1);
+        lines[inner + 2].push(label.padStart(Math.ceil((width + 2 + label.length) / 2)).padEnd(width + 2));
+    });
+    return lines.map(parts => parts.join(" ")).join("\n");
+}
+
+//What a command did, plus the game state after it; script mode prints it as JSON
+function snapshot(game) {
+    return {
+        state: game.state,
+        balance: game.balance,
+        stake: game.stake,
+        roll: game.rollsDone,
+        dice: [...game.dice],
+        holds: [...game.holds],
+        control: [...controlFor(game)],
+        hand: game.hand,
+        handName: game.handName,
+        payout: game.payout,
+        scoringDice: game.evaluation ? [...game.evaluation.scoringDice] : null,
+        dealerDice: game.dealerDice && [...game.dealerDice],
+        outcome: game.outcome,
+        gamble: game.gamble && { ...game.gamble, guesses: game.gamble.guesses.map(guess => ({ ...guess })) },
+    };
+}
+
+function usage() {
+    return "roll, hold <die>..., unhold <die>..., toggle <die>..., bet <up | down | max | credits>, hint, gamble, low, high, collect, rebuy, show, help, quit";
+}
+
+//Runs one command line and resolves to what happened, for both modes.
+//Commands follow the page's controls (see handleAction in Main.js), so the same rules apply.
+async function run(line) {
+    const [command = "roll", ...rest] = line.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (/^\d+$/.test(command)) {
+        return run(`toggle ${[...command].join(" ")}`);
+    }
+    switch (command) {
+        case "roll":
+        case "r":
+            if (game.state == State.BROKE) {
+                throw new Error(`Out of credits, rebuy ${game.rebuyAmount} to play on`);
+            }
+            await game.play();
+            return {};
+        //hold and unhold set the dice, so sending one twice does no harm; toggle flips them like the keys
+        case "hold":
+        case "unhold":
+        case "toggle": {
+            const dice = rest.map(Number);
+            if (dice.length == 0 || dice.some(die => !(Number.isInteger(die) && die >= 1 && die <= game.diceCount))) {
+                throw new RangeError(`${command[0].toUpperCase() + command.slice(1)} which dice? 1 to ${game.diceCount}`);
+            }
+            for (const die of dice) {
+                if (command == "toggle") {
+                    game.toggleHold(die - 1);
+                } else {
+                    await game.hold(die - 1, command == "hold");
+                }
+            }
+            return {};
+        }
+        case "bet": {
+            const [amount] = rest;
+            if (amount == "up") game.raiseBet();
+            else if (amount == "down") game.lowerBet();
+            else if (amount == "max") game.maxBet();
+            else if (amount !== undefined && Number.isFinite(Number(amount))) game.setBet(Number(amount));
+            else throw new RangeError("Bet up, down, max or a number of credits between rounds");
+            return {};
+        }
+        case "hint": {
+            if (game.state != State.HOLDING || game.mode == Mode.DUEL) {
+                throw new Error("Hints are for choosing holds between rolls, and not against the dealer");
+            }
+            const options = holdOptions(game.dice, game.paytable, game.stake, game.rollsLeft, game.faceCount);
+            return { options: options.map(({ holds, ev }) => ({ holds, ev })) };
+        }
+        case "gamble":
+            game.startGamble();
+            return {};
+        case "low":
+        case "high":
+            return game.guess(command == "low" ? Guess.LOW : Guess.HIGH);
+        case "collect":
+            game.collect();
+            return {};
+        case "rebuy":
+            game.rebuy();
+            return {};
+        case "show":
+            return {};
+        default:
+            throw new Error(`Unknown command "${command}", try: ${usage()}`);
+    }
+}
+
+//The text shown after a command at the prompt
+function report(result) {
+    const lines = [];
+    if (game.dealerDice) {
+        lines.push("Dealer:", drawDice(game.dealerDice, dealerControlFor(game)), "You:");
+    }
+    lines.push(drawDice(game.dice, controlFor(game)));
+    if (result.options) {
+        for (const { holds, ev } of result.options.slice(0, 5)) {
+            const held = holds.flatMap((isHeld, i) => isHeld ? [i + 1] : []);
+            lines.push(`  ${held.length > 0 ? "Hold " + held.join(" ") : "Re-roll all"}: ${ev.toFixed(2)}`);
+        }
+    }
+    if (result.die !== undefined) {
+        lines.push(`The die shows ${result.die}, you ${result.won ? "won" : "lost"} the gamble`);
+    }
+    switch (game.state) {
+        case State.HOLDING:
+            lines.push(`Roll ${game.rollsDone} of ${game.rollsPerRound} - choose your holds, then roll`);
+            break;
+        case State.SETTLED:
+        case State.BROKE:
+            if (game.gamble) {
+                lines.push(`Gamble over: collected ${game.gamble.winnings} after ${game.gamble.doubles} doubles`);
+            } else if (game.hand) {
+                lines.push(`${game.mode == Mode.DUEL ? describeDuel(game) : game.handName}! Paid ${game.payout}`);
+                if (game.can("gamble")) {
+                    lines.push(`Gamble ${game.payout} double or nothing, or roll on`);
+                }
+            }
+            if (game.state == State.BROKE) {
+                lines.push(`Out of credits! Rebuy ${game.rebuyAmount} to play on`);
+            }
+            break;
+        case State.GAMBLING:
+            lines.push(`Gambling ${game.gamble.winnings}: low (1-${Math.floor(game.faceCount / 2)}), ` +
+                `high (${Math.ceil(game.faceCount / 2) + 1}-${game.faceCount}) or collect`);
+            break;
+    }
+    lines.push(`Balance: ${game.balance} (bet ${game.stake})`);
+    return lines.join("\n");
+}
+
+const input = createInterface({ input: process.stdin, output: args.script ? undefined : process.stdout });
+if (!args.script) {
+    console.log(`Video Dice Poker - ${paytable.name}${game.mode == Mode.DUEL ? ", duel against the dealer" : ""}, seed ${game.seed}`);
+    console.log(`Commands: ${usage()}; ENTER rolls`);
+    console.log(`Balance: ${game.balance} (bet ${game.stake})`);
+    input.setPrompt("> ");
+    input.prompt();
+}
+for await (const line of input) {
+    const action = line.trim();
+    const command = action.toLowerCase();
+    if (command == "quit" || command == "q") break;
+    if (args.script && action == "") continue;
+    if (command == "help") {
+        console.log(args.script ? JSON.stringify({ action, ok: true, help: usage() }) : usage());
+    } else {
+        try {
+            const result = await run(action);
+            console.log(args.script ? JSON.stringify({ action, ok: true, ...result, ...snapshot(game) }) : report(result));
+        } catch (error) {
+            console.log(args.script ? JSON.stringify({ action, ok: false, error: error.message, ...snapshot(game) }) : error.message);
+        }
+    }
+    if (!args.script) input.prompt();
+}
+input.close();
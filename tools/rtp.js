@@ -0,0 +1,156 @@
+//Return-to-player calculator for paytables, using the game's own hand evaluator.
+//Reports the exact hit frequency and return of every hand for the first roll alone and for
+//a whole round with the advisor's optimal holds, plus an optional seeded Monte Carlo cross-check.
+//Usage: node tools/rtp.js [--paytable <built-in name | file.json>] [--bet 10] [--rolls 2]
+//                         [--dice 5] [--faces 6] [--monte-carlo <rounds>] [--seed <n>] [--json]
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { DICE_COUNT, FACE_COUNT, DiceGame, evaluateHand } from "../Engine.js";
+import { Paytables, parsePaytable, payoutFor } from "../Paytable.js";
+import { bestHolds, optimalPlay } from "../Advisor.js";
+import { createRng, randomSeed } from "../Random.js";
+
+const { values: args } = parseArgs({
+    options: {
+        paytable: { type: "string", default: "classic" },
+        bet: { type: "string", default: "10" },
+        rolls: { type: "string", default: "2" },
+        dice: { type: "string", default: String(DICE_COUNT) },
+        faces: { type: "string", default: String(FACE_COUNT) },
+        "monte-carlo": { type: "string" },
+        seed: { type: "string" },
+        json: { type: "boolean", default: false },
+    },
+});
+
+const paytable = Object.hasOwn(Paytables, args.paytable)
+    ? Paytables[args.paytable]
+    : parsePaytable(readFileSync(args.paytable, "utf8"));
+const stake = Number(args.bet);
+const rolls = Number(args.rolls);
+const diceCount = Number(args.dice);
+const faceCount = Number(args.faces);
+const monteCarloRounds = args["monte-carlo"] === undefined ? null : Number(args["monte-carlo"]);
+
+const isCount = (value, min = 1) => Number.isInteger(value) && value >= min;
+if (!(stake > 0 && Number.isFinite(stake) && isCount(rolls) && isCount(diceCount) && isCount(faceCount, 2) &&
+    (monteCarloRounds === null || isCount(monteCarloRounds)))) {
+    console.error("Usage: node tools/rtp.js [--paytable <built-in name | file.json>] [--bet <credits above 0>] [--rolls <1 or more>]\n" +
+        "                         [--dice <1 or more>] [--faces <2 or more>] [--monte-carlo <rounds>] [--seed <n>] [--json]");
+    process.exit(2);
+}
+
+//Every roll of the dice, each equally likely
+function* allRolls() {
+    for (let n = 0; n < faceCount ** diceCount; n++) {
+        let rest = n;
+        yield Array.from({ length: diceCount }, () => {
+            const face = rest % faceCount + 1;
+            rest = Math.floor(rest / faceCount);
+            return face;
+        });
+    }
+}
+
+//Turns hand chances into per-hand frequency and share of the return, plus the total return to player
+function summarize(chances) {
+    const hands = {};
+    let rtp = 0;
+    for (const type of paytable.order) {
+        const frequency = chances[type] ?? 0;
+        const returned = frequency * payoutFor(paytable, type, stake) / stake;
+        hands[type] = { frequency, return: returned };
+        rtp += returned;
+    }
+    return { rtp, hands };
+}
+
+function exactInitialRoll() {
+    const chances = {};
+    const outcomes = faceCount ** diceCount;
+    for (const dice of allRolls()) {
+        const { type } = evaluateHand(dice, paytable);
+        chances[type] = (chances[type] ?? 0) + 1 / outcomes;
+    }
+    return summarize(chances);
+}
+
+function exactOptimalHolds() {
+    const chances = {};
+    const outcomes = faceCount ** diceCount;
+    for (const dice of allRolls()) {
+        for (const [type, chance] of Object.entries(optimalPlay(dice, paytable, stake, rolls - 1, faceCount).chances)) {
+            chances[type] = (chances[type] ?? 0) + chance / outcomes;
+        }
+    }
+    return summarize(chances);
+}
+
+//Plays whole rounds through the game engine, so this also checks the engine against the exact numbers
+function monteCarlo(rounds, seed) {
+    const game = new DiceGame({
+        diceCount,
+        faceCount,
+        rolls,
+        balance: stake * rounds,
+        bet: stake,
+        limits: { min: stake, max: stake, step: stake },
+        rng: createRng(seed),
+        paytable,
+    });
+    const initial = {};
+    const optimal = {};
+    for (let n = 0; n < rounds; n++) {
+        game.bet();
+        game.roll();
+        game.stop();
+        const first = evaluateHand(game.dice, paytable).type;
+        initial[first] = (initial[first] ?? 0) + 1 / rounds;
+        while (game.rollsLeft > 0) {
+            bestHolds(game.dice, paytable, stake, game.rollsLeft, faceCount)
+                .forEach((held, i) => { if (held != game.holds[i]) game.toggleHold(i); });
+            game.roll();
+            game.stop();
+        }
+        game.settle();
+        optimal[game.hand] = (optimal[game.hand] ?? 0) + 1 / rounds;
+    }
+    return { rounds, seed, initial: summarize(initial), optimal: summarize(optimal) };
+}
+
+const report = {
+    paytable: paytable.name,
+    bet: stake,
+    rolls,
+    dice: diceCount,
+    faces: faceCount,
+    initial: exactInitialRoll(),
+    optimal: exactOptimalHolds(),
+};
+if (args["monte-carlo"] !== undefined) {
+    const seed = args.seed === undefined ? randomSeed() : Number(args.seed);
+    report.monteCarlo = monteCarlo(monteCarloRounds, seed);
+}
+
+if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    const percent = x => (x * 100).toFixed(3).padStart(8) + "%";
+    const columns = [["First roll", report.initial], [`Optimal, ${rolls} rolls`, report.optimal]];
+    if (report.monteCarlo) {
+        columns.push(["MC first roll", report.monteCarlo.initial], ["MC optimal", report.monteCarlo.optimal]);
+    }
+    const nameWidth = Math.max(10, ...paytable.order.map(type => paytable.hands[type].name.length));
+
+    console.log(`Paytable: ${report.paytable}, bet ${report.bet}, ${report.rolls} rolls per round, ${report.dice}d${report.faces}`);
+    if (report.monteCarlo) {
+        console.log(`Monte Carlo: ${report.monteCarlo.rounds} rounds, seed ${report.monteCarlo.seed}`);
+    }
+    console.log("".padEnd(nameWidth) + columns.map(([title]) => " | " + title.padEnd(20)).join(""));
+    console.log("Hand".padEnd(nameWidth) + columns.map(() => " | " + "hits".padEnd(10) + "return".padEnd(10)).join(""));
+    for (const type of paytable.order) {
+        console.log(paytable.hands[type].name.padEnd(nameWidth) + columns.map(([, result]) =>
+            " | " + percent(result.hands[type].frequency) + " " + percent(result.hands[type].return)).join(""));
+    }
+    console.log("RTP".padEnd(nameWidth) + columns.map(([, result]) => " | " + "".padEnd(10) + percent(result.rtp)).join(""));
+}
@@ -0,0 +1,33 @@
+//Verifies the provably fair hands in an exported hand history: each revealed server seed has to match
+//the commitment published before the round, and the seeds with the recorded holds have to give the recorded dice.
+//Usage: node tools/verify-fairness.js history.json
+import { readFileSync } from "node:fs";
+import { HandHistory } from "../History.js";
+import { verifyHand } from "../Fairness.js";
+
+const file = process.argv[2];
+if (!file) {
+    console.error("Usage: node tools/verify-fairness.js history.json");
+    process.exit(2);
+}
+
+const hands = new HandHistory().import(readFileSync(file, "utf8"));
+let failed = 0;
+let unverifiable = 0;
+for (const [i, record] of hands.entries()) {
+    if (!record.fairness) {
+        unverifiable++;
+        console.log(`#${i + 1}: no seeds recorded, can't be verified`);
+        continue;
+    }
+    const { problems } = await verifyHand(record);
+    if (problems.length == 0) {
+        console.log(`#${i + 1}: ok, round ${record.fairness.nonce}, ${record.handName}`);
+    } else {
+        failed++;
+        console.log(`#${i + 1}: FAILED`);
+        problems.forEach(problem => console.log(`    ${problem}`));
+    }
+}
+console.log(`${hands.length - failed - unverifiable} fair, ${failed} failed, ${unverifiable} unverifiable`);
+process.exitCode = failed > 0 ? 1 : 0;